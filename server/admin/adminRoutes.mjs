@@ -0,0 +1,108 @@
+/**
+ * HTTP routes for operators, only enabled when ADMIN_TOKEN is set.
+ * Every request has to send it as `Authorization: Bearer <ADMIN_TOKEN>`
+ */
+import crypto from 'crypto';
+import express from 'express';
+import { gameView } from '../game/views.mjs';
+import { renderMetrics } from './metrics.mjs';
+import { closeRoom } from '../socket/gameSocket.mjs';
+import { logger } from '../logger.mjs';
+
+/**
+ * @param {Object} io
+ * @param {RoomStore} rooms
+ * @returns {Object} express router of the admin API
+ */
+export function adminRoutes(io, rooms) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+  router.use(express.json());
+
+  //every room with its phase, how many people are in it & how long it has been idle
+  router.get('/rooms', asyncRoute(async (req, res) => {
+    const now = Date.now();
+    const games = await rooms.all();
+    res.json(games.map(game => ({
+      roomCode: game.roomCode,
+      phase: game.phase,
+      players: game.players.length,
+      connectedPlayers: game.players.filter(player => !player.disconnected).length,
+      spectators: game.spectators.length,
+      idleSeconds: Math.floor((now - game.lastActivity) / 1000)
+    })));
+  }));
+
+  //what a spectator of the room can see
+  router.get('/rooms/:roomCode', asyncRoute(async (req, res) => {
+    const game = (await rooms.all()).find(game => String(game.roomCode) === req.params.roomCode);
+    if (!game) return res.status(404).json({ error: `Room '${req.params.roomCode}' does not exist.` });
+    res.json(gameView(game));
+  }));
+
+  //a server message in the chat of one room, or of every room if no room code is given
+  router.post('/notice', asyncRoute(async (req, res) => {
+    const { message, roomCode } = req.body;
+    if (typeof message !== 'string' || message.length === 0 || message.length > 500) {
+      return res.status(400).json({ error: 'message must be between 1-500 characters.' });
+    }
+    if (roomCode !== undefined && !/^\d{1,4}$/.test(String(roomCode))) {
+      return res.status(400).json({ error: 'roomCode must be a room code.' });
+    }
+    const roomCodes = roomCode !== undefined ? [roomCode] : (await rooms.all()).map(game => game.roomCode);
+    const notified = await Promise.all(roomCodes.map(roomCode => rooms.withRoom(roomCode, game => {
+      if (!game) return false;
+      const msgObj = { id: Date.now(), serverMsg: `Server notice: ${message}` };
+      game.chat.push(msgObj);
+      io.in(game.roomCode).emit('updateChat', msgObj);
+      return true;
+    })));
+    res.json({ notifiedRooms: notified.filter(Boolean).length });
+  }));
+
+  //everyone in the room is sent back to the home page
+  router.delete('/rooms/:roomCode', asyncRoute(async (req, res) => {
+    const { roomCode } = req.params;
+    const closed = await rooms.withRoom(roomCode, async game => {
+      if (!game) return false;
+      logger.info('room closed by an admin', { roomCode: game.roomCode, phase: game.phase });
+      await closeRoom(io, game, 'This room was closed by the server.');
+      return true;
+    });
+    if (!closed) return res.status(404).json({ error: `Room '${roomCode}' does not exist.` });
+    res.json({ closed: Number(roomCode) });
+  }));
+
+  router.get('/metrics', asyncRoute(async (req, res) => {
+    res.type('text/plain; version=0.0.4').send(await renderMetrics(io, rooms));
+  }));
+
+  return router;
+}
+
+/**
+ * @param {Object} req
+ * @param {Object} res
+ * @param {function} next
+ */
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) return res.status(404).end();
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(adminToken);
+  const given = Buffer.from(token || '');
+  if (scheme !== 'Bearer' || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+/**
+ * Express 4 doesn't catch errors of async routes
+ * @param {function} route
+ * @returns {function}
+ */
+function asyncRoute(route) {
+  return (req, res, next) => route(req, res, next).catch(next);
+}
@@ -0,0 +1,52 @@
+/**
+ * Counts exposed on /metrics, in the Prometheus text format.
+ * Counters are kept by each server process since it started, so with several processes they have to be added up
+ */
+import { Phases } from '../game/phases.mjs';
+
+const counters = {
+  gamesStarted: 0,
+  gamesFinished: 0,
+  wins: { Good: 0, Evil: 0 }
+};
+
+/**
+ * Count the games that started or finished while handling an event
+ * @param {string} phaseBefore - Phase of the game before the event
+ * @param {Game} game
+ */
+export function recordPhaseChange(phaseBefore, game) {
+  if (phaseBefore === game.phase) return;
+  if (phaseBefore === Phases.LOBBY && game.isStarted) counters.gamesStarted++;
+  if (game.phase === Phases.FINISHED) {
+    counters.gamesFinished++;
+    counters.wins[game.winningTeam]++;
+  }
+}
+
+/**
+ * @param {Object} io
+ * @param {RoomStore} rooms
+ * @returns {Promise} the metrics as text
+ */
+export async function renderMetrics(io, rooms) {
+  const activeRooms = (await rooms.all()).length;
+  return [
+    '# HELP avalon_rooms_active Rooms in the room store.',
+    '# TYPE avalon_rooms_active gauge',
+    `avalon_rooms_active ${activeRooms}`,
+    '# HELP avalon_games_started_total Games started.',
+    '# TYPE avalon_games_started_total counter',
+    `avalon_games_started_total ${counters.gamesStarted}`,
+    '# HELP avalon_games_finished_total Games played to the end.',
+    '# TYPE avalon_games_finished_total counter',
+    `avalon_games_finished_total ${counters.gamesFinished}`,
+    '# HELP avalon_wins_total Finished games won by each team (Good is the Resistance, Evil the Spies).',
+    '# TYPE avalon_wins_total counter',
+    `avalon_wins_total{team="Good"} ${counters.wins.Good}`,
+    `avalon_wins_total{team="Evil"} ${counters.wins.Evil}`,
+    '# HELP avalon_socket_connections Sockets connected to this process.',
+    '# TYPE avalon_socket_connections gauge',
+    `avalon_socket_connections ${io.engine.clientsCount}`
+  ].join('\n') + '\n';
+}
@@ -2,16 +2,40 @@ import express from 'express';
 import socketIO from 'socket.io';
 import path from 'path';
 import dotenv from 'dotenv';
-import { gameSocket } from './socket/gameSocket.mjs';
+import { gameSocket, scheduleRoomDeletion, expireIdleRooms } from './socket/gameSocket.mjs';
 import { handleRoomClick } from './socket/roomSocket.mjs';
+import { replaySocket } from './socket/replaySocket.mjs';
+import { describeRoles } from './game/roles.mjs';
+import Game from './game/game.mjs';
+import { acceptsProtocolVersion } from './socket/protocol.mjs';
+import FileRoomStore from './store/fileRoomStore.mjs';
+import MemoryRoomStore from './store/memoryRoomStore.mjs';
+import SharedRoomStore from './store/sharedRoomStore.mjs';
+import HubClient from './cluster/hubClient.mjs';
+import { createHubAdapter } from './cluster/hubAdapter.mjs';
+import GameBot from './game/gameBot.mjs';
+import { adminRoutes } from './admin/adminRoutes.mjs';
+import { recordRoutes } from './records/recordRoutes.mjs';
+import { logger } from './logger.mjs';
 
+dotenv.config();
 const app = express();
-const port = 3000;
+const port = Number(process.env.PORT) || 3000;
 const server = app.listen(port, () => {
-  console.log(`server running on port ${port}`);
+  logger.info('server running', { port });
 });
 const io = socketIO(server);
-dotenv.config();
+
+// with a hub, rooms & broadcasts are shared with the other server processes using it (see cluster/hub.mjs)
+const hub = process.env.HUB_URL ? new HubClient(process.env.HUB_URL) : null;
+if (hub) io.adapter(createHubAdapter(hub));
+
+export const rooms = hub ? new SharedRoomStore(hub) : new MemoryRoomStore(new FileRoomStore(process.env.ROOMS_DIR || 'data/rooms'));
+restoreRooms();
+setInterval(() => expireIdleRooms(io).catch(err => logger.error('could not expire idle rooms', { error: err.message })), 60000);
+
+app.use('/admin', adminRoutes(io, rooms));
+app.use('/records', recordRoutes(rooms));
 
 if (process.env.NODE_ENV === "production") {
   app.use(express.static(path.resolve("dist")));
@@ -20,9 +44,28 @@ if (process.env.NODE_ENV === "production") {
   });
 }
 
-export let Rooms = {}; //keeps record of all game objects
-
 io.on('connection', async socket => {
+  logger.debug('socket connected', { socket: socket.id });
+  if (!acceptsProtocolVersion(socket)) return;
+  //the client builds its role options & rules from the same definitions as the server
+  socket.emit('setRoleDefinitions', { ...describeRoles(), ...Game.describeRoleCounts() });
+  replaySocket(socket);
   const { playerName, roomCode, reconnect } = await handleRoomClick(io, socket);
-  gameSocket(io, socket, port, Rooms[roomCode], playerName, roomCode, reconnect);
+  gameSocket(io, socket, port, rooms.peek(roomCode), playerName, roomCode, reconnect);
 });
+
+/**
+ * Nobody is connected to a restored room, so everyone has to reconnect with their session token.
+ * Bots reconnect on their own, and rooms nobody comes back to are deleted as usual
+ */
+function restoreRooms() {
+  for (const game of rooms.restore()) {
+    game.players.concat(game.spectators).forEach(person => person.disconnected = true);
+    game.reconnectRequests = {};
+    scheduleRoomDeletion(game);
+    logger.info('room restored', { roomCode: game.roomCode, phase: game.phase });
+    game.players
+      .filter(player => game.botNames.has(player.name))
+      .forEach(bot => new GameBot(game.roomCode, port, bot.name, bot.sessionToken).listen());
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * A local stand-in for the shared store & message bus (ex: Redis) several server processes need to share rooms.
+ * Start it with `npm run hub`, then start each server process with HUB_URL pointing to it.
+ * Everything is kept in memory, so rooms only last as long as the hub does.
+ *
+ * Clients send one JSON request per line: { id, op, ...args }, and get back { id, result } or { id, error }.
+ * Messages published to a channel are sent to its subscribers as { channel, message }.
+ */
+import net from 'net';
+import dotenv from 'dotenv';
+import { logger } from '../logger.mjs';
+
+dotenv.config();
+
+const values = new Map(); //key to value
+const locks = new Map(); //key to the queue of clients waiting for the lock, the first one holds it
+const subscribers = new Map(); //channel to the clients subscribed to it
+
+// what each op does with the request's args, returning the result sent back (or a promise of it)
+const Ops = {
+  get: (client, { key }) => values.has(key) ? values.get(key) : null,
+  set: (client, { key, value }) => values.set(key, value) && true,
+  //only set the value if the key is free, so two processes can't both create the same room
+  setIfAbsent: (client, { key, value }) => !values.has(key) && values.set(key, value) && true,
+  del: (client, { key }) => values.delete(key),
+  keys: (client, { prefix }) => Array.from(values.keys()).filter(key => key.startsWith(prefix)),
+  lock: (client, { key }) => new Promise(resolve => {
+    const queue = locks.get(key) || [];
+    queue.push({ client, resolve });
+    locks.set(key, queue);
+    if (queue.length === 1) resolve(true);
+  }),
+  unlock: (client, { key }) => {
+    const queue = locks.get(key);
+    if (!queue || queue[0].client !== client) return false;
+    releaseLock(key);
+    return true;
+  },
+  publish: (client, { channel, message }) => {
+    (subscribers.get(channel) || new Set()).forEach(subscriber => send(subscriber, { channel, message }));
+    return true;
+  },
+  subscribe: (client, { channel }) => {
+    if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+    subscribers.get(channel).add(client);
+    return true;
+  }
+};
+
+/**
+ * Hand the lock to the next client waiting for it
+ * @param {string} key
+ */
+function releaseLock(key) {
+  const queue = locks.get(key);
+  queue.shift();
+  if (queue.length === 0) return locks.delete(key);
+  queue[0].resolve(true);
+}
+
+/**
+ * @param {Object} client
+ * @param {Object} data
+ */
+function send(client, data) {
+  if (!client.destroyed) client.write(JSON.stringify(data) + '\n');
+}
+
+/**
+ * @param {Object} client
+ * @param {string} line - A request
+ */
+async function handleRequest(client, line) {
+  let request;
+  try {
+    request = JSON.parse(line);
+    if (!Ops.hasOwnProperty(request.op)) throw new Error(`unknown op '${request.op}'`);
+    send(client, { id: request.id, result: await Ops[request.op](client, request) });
+  } catch (err) {
+    send(client, { id: request && request.id, error: err.message });
+  }
+}
+
+/**
+ * A process that goes away gives up its locks & subscriptions, so the other processes aren't stuck waiting on it
+ * @param {Object} client
+ */
+function forgetClient(client) {
+  for (const [key, [holder, ...waiting]] of locks) {
+    locks.set(key, [holder, ...waiting.filter(waiter => waiter.client !== client)]);
+    if (holder.client === client) releaseLock(key);
+  }
+  subscribers.forEach(channelSubscribers => channelSubscribers.delete(client));
+}
+
+const server = net.createServer(client => {
+  let buffered = '';
+  client.setEncoding('utf8');
+  client.on('data', chunk => {
+    const lines = (buffered + chunk).split('\n');
+    buffered = lines.pop();
+    lines.filter(line => line).forEach(line => handleRequest(client, line));
+  });
+  client.on('close', () => forgetClient(client));
+  client.on('error', err => logger.warn('hub client error', { error: err.message }));
+});
+
+const port = Number(process.env.HUB_PORT) || 3100;
+server.listen(port, () => {
+  logger.info('hub running', { port });
+});
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import Adapter from 'socket.io-adapter';
+
+/**
+ * A socket.io adapter that also sends each broadcast to the other server processes through the hub,
+ * so io.in(roomCode) & io.to(socketID) reach sockets connected to any process
+ * @param {HubClient} hub
+ * @returns {function} the adapter, to pass to io.adapter()
+ */
+export function createHubAdapter(hub) {
+  const processID = crypto.randomBytes(8).toString('hex');
+
+  return class HubAdapter extends Adapter {
+    /**
+     * @param {Object} nsp - socket.io namespace
+     */
+    constructor(nsp) {
+      super(nsp);
+      this.channel = `socket.io#${nsp.name}`;
+      hub.subscribe(this.channel, ({ sender, packet, opts }) => {
+        if (sender !== processID) super.broadcast(packet, opts);
+      });
+    }
+
+    /**
+     * @param {Object} packet
+     * @param {Object} opts - Rooms to send the packet to, sockets not to send it to & socket.io flags
+     */
+    broadcast(packet, opts) {
+      super.broadcast(packet, opts);
+      if (opts.flags && opts.flags.local) return;
+      hub.publish(this.channel, { sender: processID, packet, opts });
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import net from 'net';
+import { logger } from '../logger.mjs';
+
+/**
+ * Connection from a server process to the hub (see hub.mjs)
+ */
+export default class HubClient {
+  /**
+   * @param {string} url - host:port of the hub
+   * @property {number} nextRequestId
+   * @property {Map} pendingRequests - Callbacks of the requests waiting for a response, by request id
+   * @property {Map} handlers - Handler of each channel this process is subscribed to
+   */
+  constructor(url) {
+    const [host, port] = url.split(':');
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();
+    this.handlers = new Map();
+    this.socket = net.connect(Number(port), host);
+    this.socket.setEncoding('utf8');
+
+    let buffered = '';
+    this.socket.on('data', chunk => {
+      const lines = (buffered + chunk).split('\n');
+      buffered = lines.pop();
+      lines.filter(line => line).forEach(line => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (err) {
+          return logger.error('could not parse a message from the hub', { url, error: err.message });
+        }
+        this.handleMessage(message);
+      });
+    });
+    //rooms can't be kept in sync without the hub, so the process stops instead of serving rooms that are out of date
+    this.socket.on('close', () => {
+      logger.error('lost the connection to the hub', { url });
+      process.exit(1);
+    });
+    this.socket.on('error', err => logger.error('hub error', { url, error: err.message }));
+  }
+
+  /**
+   * @param {string} op - One of the hub's ops (ex: 'get')
+   * @param {Object} args
+   * @returns {Promise} the result
+   */
+  request(op, args = {}) {
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      this.socket.write(JSON.stringify({ ...args, id, op }) + '\n');
+    });
+  }
+
+  /**
+   * @param {string} channel
+   * @param {function} handler - Called with each message published to the channel
+   * @returns {Promise}
+   */
+  subscribe(channel, handler) {
+    this.handlers.set(channel, handler);
+    return this.request('subscribe', { channel });
+  }
+
+  /**
+   * @param {string} channel
+   * @param {Object} message
+   * @returns {Promise}
+   */
+  publish(channel, message) {
+    return this.request('publish', { channel, message });
+  }
+
+  /**
+   * @param {Object} message - A response to a request, or a message published to a channel
+   */
+  handleMessage({ id, result, error, channel, message }) {
+    if (channel) {
+      const handler = this.handlers.get(channel);
+      if (handler) handler(message);
+      return;
+    }
+    //ex: the hub's reply to a line it couldn't parse has no id
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return logger.error('hub replied to an unknown request', { id, error });
+    const { resolve, reject } = pending;
+    this.pendingRequests.delete(id);
+    if (error) reject(new Error(error));
+    else resolve(result);
+  }
+}
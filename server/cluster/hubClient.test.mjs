@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import HubClient from './hubClient.mjs';
+
+test('replies the client is not waiting for are ignored', async () => {
+  //before answering, the hub sends an error for a line it couldn't parse (which has no id) and a line that isn't JSON
+  const hub = net.createServer(socket => {
+    socket.setEncoding('utf8');
+    socket.on('data', line => {
+      const { id } = JSON.parse(line);
+      socket.write(JSON.stringify({ id: null, error: 'Unexpected token' }) + '\n');
+      socket.write(JSON.stringify({ id: id + 100, result: 'someone else' }) + '\n');
+      socket.write('not json\n');
+      socket.write(JSON.stringify({ id, result: 'value' }) + '\n');
+    });
+  });
+  await new Promise(resolve => hub.listen(0, resolve));
+  const client = new HubClient(`localhost:${hub.address().port}`);
+
+  try {
+    assert.equal(await client.request('get', { key: 'room:1234' }), 'value');
+  }
+  finally {
+    //the client stops the process once it loses the hub
+    client.socket.removeAllListeners('close');
+    client.socket.destroy();
+    hub.close();
+  }
+});
@@ -1,13 +1,69 @@
 import { objectToArray, shuffle, populateRoleList } from './utility.mjs';
 import Player from './player.mjs';
 import Quest from './quest.mjs';
+import { Roles, Sight, getFillerRole, getSpecialRoleGroup, getKnowledgeMatrix } from './roles.mjs';
+import { Phases, canTransition, checkAction } from './phases.mjs';
+import { logger } from '../logger.mjs';
 
-export const GoodTeam = new Set(['Merlin', 'Loyal Servant of Arthur', 'Percival']);
+// starting team of each role, from the role definitions; the Lancelots can switch teams during the game
+export const GoodTeam = new Set(Object.keys(Roles).filter(role => Roles[role].team === 'Good'));
+export const Lancelots = new Set(Object.keys(Roles).filter(role => Roles[role].switchesTeams));
+
+// expansions that can be played with each game mode
+// key: game mode
+// value: names of the expansions
+const ModeExpansions = {
+  'Avalon': ['Lady of the Lake', 'Excalibur', 'Targeting'],
+  'Resistance': ['Plot Cards', 'Targeting']
+};
+
+// name of each team as shown to players, for each game mode
+const TeamNames = {
+  'Avalon': { 'Good': 'Good', 'Evil': 'Evil' },
+  'Resistance': { 'Good': 'The Resistance', 'Evil': 'The Spies' }
+};
+
+// plot cards from The Resistance that take effect between team building and voting
+const PlotDeck = {
+  'Establish Confidence': 2,
+  'Overheard Conversation': 3,
+  'Opinion Maker': 3
+};
+
+// loyalty cards for each Lancelot rule variant, 3 of which are used for quests 3 to 5
+const LoyaltyDecks = {
+  1: { 'No Change': 3, 'Switch': 2 },
+  2: { 'No Change': 5, 'Switch': 2 }
+};
+
+// house rules the host can turn on or off, and their default values
+const DefaultHouseRules = {
+  hammer: false,
+  anonymousTeamVotes: false,
+  hiddenFailCounts: false,
+  assassin: true
+};
+
+// with the hammer house rule, this proposal for a quest is approved without a team vote
+const HAMMER_PROPOSAL = 5;
 
 // defines what type of character roles for size of game
 // key: number of players
 // value: object of game roles and how many
+// 3 and 4 player games are practice games, and need at least one bot
 const BaseRoles = {
+  3: {
+    'Merlin': 1,
+    'Assassin': 1,
+    'Loyal Servant of Arthur': 1,
+    'Minion of Mordred': 0
+  },
+  4: {
+    'Merlin': 1,
+    'Assassin': 1,
+    'Loyal Servant of Arthur': 2,
+    'Minion of Mordred': 0
+  },
   5: {
     'Merlin': 1,
     'Assassin': 1,
@@ -43,86 +99,307 @@ const BaseRoles = {
     'Assassin': 1,
     'Loyal Servant of Arthur': 5,
     'Minion of Mordred': 3
+  },
+  11: {
+    'Merlin': 1,
+    'Assassin': 1,
+    'Loyal Servant of Arthur': 6,
+    'Minion of Mordred': 3
+  },
+  12: {
+    'Merlin': 1,
+    'Assassin': 1,
+    'Loyal Servant of Arthur': 6,
+    'Minion of Mordred': 4
   }
 };
 
 export default class Game {
   /**
    * @param {number} roomCode - Digits identifying which room the game is in
+   * @property {string} mode - 'Avalon', or 'Resistance' for The Resistance's Resistance & Spies
    * @property {array} chat - Chat history of the game
    * @property {boolean} isStarted - Indicates if the game has started
-   * @property {Object} gameState - Values indicating various stages of the game
+   * @property {string} phase - Current phase of the game (see Phases), which decides the actions players can take
+   * @property {Object} gameState - Values indicating various stages of the game, and the vote results being shown
+   * @property {number} snapshotSeq - Incremented whenever the room is synced, so clients can ignore out of date snapshots
+   * @property {number} lastActivity - When someone last joined the room or sent an event to it (ms since epoch)
+   * @property {number} expiryWarnedAt - When the room was last warned that it will be closed for being idle (ms since epoch), or 0
    * @property {Object} roleList - Key/value pair of roles (and how many of each role) for the game
+   * @property {Object} customRoles - How many of each role the host chose, or null to use the base roles & special roles
+   * @property {array} customQuests - Team size & two-fail requirement of each quest the host chose, or null to use the standard table
+   * @property {Set} botNames - Names of the bots created for the room
+   * @property {number} lancelotVariant - Which Lancelot rule variant to use (1 or 2)
+   * @property {array} loyaltyDeck - Loyalty cards to draw at the start of quests 3 to 5, in order
+   * @property {array} expansions - Names of the expansions enabled for the game (ex: 'Lady of the Lake')
+   * @property {Object} houseRules - Which house rules are on (hammer, anonymousTeamVotes, hiddenFailCounts, assassin)
+   * @property {array} ladyOfTheLakeHistory - Record of each Lady of the Lake inspection, in order
+   * @property {array} plotDeck - Plot cards left to draw
+   * @property {array} plotCardsToGive - Plot cards the leader has drawn but not handed out yet
+   * @property {array} plotCardHistory - Record of each plot card handed out, in order
    * @property {array} players
    * @property {array} spectators
+   * @property {Object} reconnectRequests - Disconnected players & spectators someone without their session token is trying to
+   * reconnect as, by name: the socketID asking and the action it asked with, until the host answers
    * @property {Object} quests
+   * @property {number} currentQuestNum - Quest being attempted
+   * @property {number} roundNum - How many quests have been attempted, including the current one
    * @property {number} questFails - Number of failed quests
    * @property {number} questSuccesses - Number of successful quests
    * @property {number} leaderIndex 
    * @property {boolean} winningTeam - 'Good' or 'Evil'
+   * @property {array} gameLog - Every event of the game so far, in order (see logEvent)
+   * @property {string} replayId - ID of the game's saved replay once it is over, or null
    */
   constructor(roomCode) {
     this.roomCode = roomCode;
+    this.mode = 'Avalon';
     this.chat = [];
     this.isStarted = false;
+    this.phase = Phases.LOBBY;
     this.gameState = {
       gameStatusMsg: '',
       showAcceptOrRejectTeamBtns: false,
-      showSucceedOrFailQuestBtns: false
+      showSucceedOrFailQuestBtns: false,
+      showLadyOfTheLakeBtns: false,
+      showExcaliburBtns: false,
+      showTricksterBtns: false,
+      showPlotCardBtns: false,
+      showOverheardConversationBtns: false,
+      voteResults: { team: null, quest: null }
     };
     this.specialRoles = [];
+    this.customRoles = null;
+    this.customQuests = null;
+    this.botNames = new Set();
+    this.lancelotVariant = 1;
+    this.loyaltyDeck = [];
+    this.expansions = [];
+    this.houseRules = { ...DefaultHouseRules };
     this.roleList = {};
     this.players = [];
     this.spectators = [];
+    this.reconnectRequests = {};
     this.quests = {};
     this.currentQuestNum = null;
+    this.roundNum = null;
     this.questFails = 0;
     this.questSuccesses = 0;
     this.leaderIndex = 0;
+    this.ladyOfTheLakeHistory = [];
+    this.plotDeck = [];
+    this.plotCardsToGive = [];
+    this.plotCardHistory = [];
     this.winningTeam = null;
+    this.gameLog = [];
+    this.replayId = null;
     this.deleteRoomTimeout = null;
+    this.snapshotSeq = 0;
+    this.lastActivity = Date.now();
+    this.expiryWarnedAt = 0;
   }
 
+  static get MODES() {
+    return Object.keys(ModeExpansions);
+  }
   static get BaseRoles() {
     return BaseRoles;
   }
   static get GoodTeam() {
     return GoodTeam;
   }
+  static get MAX_PLAYERS() {
+    return Math.max(...Object.keys(BaseRoles));
+  }
+  static get MIN_PLAYERS() {
+    return 5;
+  }
+  static get MIN_PRACTICE_PLAYERS() {
+    return Math.min(...Object.keys(BaseRoles));
+  }
+
+  /**
+   * The counts the client explains the role rules with, so its notes follow countRoles & validateRoles
+   * @returns {Object} { baseRoles, minPlayers, minPracticePlayers }
+   */
+  static describeRoleCounts() {
+    return { baseRoles: BaseRoles, minPlayers: Game.MIN_PLAYERS, minPracticePlayers: Game.MIN_PRACTICE_PLAYERS };
+  }
+
+  /**
+   * What is saved of the game, to share it with other server processes or restore it after a restart.
+   * The timer belongs to the process that set it, and the players & quests save themselves
+   * @returns {Object}
+   */
+  toJSON() {
+    const { deleteRoomTimeout, ...saved } = this;
+    return { ...saved, botNames: Array.from(this.botNames) };
+  }
+
+  /**
+   * @param {Object} data - A game saved with JSON.stringify
+   * @returns {Game}
+   */
+  static fromJSON({ botNames, players, spectators, quests, ...saved }) {
+    const game = Object.assign(new Game(saved.roomCode), saved);
+    game.botNames = new Set(botNames);
+    game.players = players.map(Player.fromJSON);
+    game.spectators = spectators.map(Player.fromJSON);
+    for (const [questNum, quest] of Object.entries(quests)) {
+      game.quests[questNum] = Quest.fromJSON(quest);
+    }
+    return game;
+  }
 
   startGame() {
     this.isStarted = true;
+    this.setPhase(Phases.TEAM_BUILDING);
     // shuffle(this.players);
     this.initializeQuests();
     this.assignRoles();
+    this.initializeKnownIdentities();
+    if (this.getLancelots().length > 0) this.initializeLoyaltyDeck();
+    if (this.hasExpansion('Lady of the Lake')) this.initializeLadyOfTheLake();
+    if (this.hasExpansion('Plot Cards')) this.plotDeck = shuffle(objectToArray(PlotDeck));
   }
 
   resetGame() {
     this.resetPlayers();
     this.isStarted = false;
+    this.phase = Phases.LOBBY;
     this.gameState = {
       gameStatusMsg: '',
       showAcceptOrRejectTeamBtns: false,
-      showSucceedOrFailQuestBtns: false
+      showSucceedOrFailQuestBtns: false,
+      showLadyOfTheLakeBtns: false,
+      showExcaliburBtns: false,
+      showTricksterBtns: false,
+      showPlotCardBtns: false,
+      showOverheardConversationBtns: false,
+      voteResults: { team: null, quest: null }
     };
     this.roleList = {};
     this.quests = {};
+    this.roundNum = null;
+    this.loyaltyDeck = [];
     this.questFails = 0;
     this.questSuccesses = 0;
     this.leaderIndex = 0;
+    this.ladyOfTheLakeHistory = [];
+    this.plotDeck = [];
+    this.plotCardsToGive = [];
+    this.plotCardHistory = [];
     this.winningTeam = null;
+    this.gameLog = [];
+    this.replayId = null;
     this.deleteRoomTimeout = null;
   }
 
+  /**
+   * Record an event of the game, which its replay is built from. Events hold everything that happened,
+   * including what only some players saw (ex: quest cards), so they are only sent out once the game is over
+   * @param {string} type - ex: 'teamVote'
+   * @param {Object} details
+   */
+  logEvent(type, details = {}) {
+    this.gameLog.push({ type, phase: this.phase, questNum: this.currentQuestNum, time: Date.now(), ...details });
+  }
+
+  /**
+   * @param {string} phase - One of Phases
+   * @returns {boolean} whether the game could move on to the phase
+   */
+  setPhase(phase) {
+    if (!canTransition(this.phase, phase)) {
+      logger.warn('invalid phase change', { roomCode: this.roomCode, phase: this.phase, nextPhase: phase });
+      return false;
+    }
+    this.phase = phase;
+    return true;
+  }
+
+  /**
+   * @param {string} action - Name of the socket event (ex: 'questVote')
+   * @param {string} socketID - The acting socket
+   * @returns {string} error message, or an empty string if the action is allowed
+   */
+  checkAction(action, socketID) {
+    return checkAction(this, action, this.getPlayer('socketID', socketID));
+  }
+
+  /**
+   * Expansions that don't belong to the game mode are ignored
+   * @param {string} expansion 
+   * @returns {boolean}
+   */
+  hasExpansion(expansion) {
+    return this.expansions.includes(expansion) && ModeExpansions[this.mode].includes(expansion);
+  }
+
+  /**
+   * @param {string} mode 
+   * @returns {boolean} true if the mode was changed
+   */
+  setMode(mode) {
+    if (!Game.MODES.includes(mode)) return false;
+    this.mode = mode;
+    return true;
+  }
+
+  /**
+   * @param {string} team - 'Good' or 'Evil'
+   * @returns {string} name of the team in the current game mode
+   */
+  getTeamName(team) {
+    return TeamNames[this.mode][team];
+  }
+
+  /**
+   * Only known house rules with true/false values are changed
+   * @param {Object} houseRules 
+   */
+  setHouseRules(houseRules) {
+    for (const rule of Object.keys(DefaultHouseRules)) {
+      if (houseRules && typeof houseRules[rule] === 'boolean') {
+        this.houseRules[rule] = houseRules[rule];
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} true if the current team will be approved without a team vote
+   */
+  isHammerProposal() {
+    return this.houseRules.hammer && this.getCurrentQuest().voteTrack >= HAMMER_PROPOSAL - 1;
+  }
+
+  /**
+   * @param {Quest} quest 
+   * @returns {Object} who accepted/rejected the team, or only the totals with anonymous team votes
+   */
+  getTeamVoteResults(quest = this.getCurrentQuest()) {
+    const { accept, reject } = quest.acceptOrRejectTeam;
+    if (this.houseRules.anonymousTeamVotes) {
+      return { anonymous: true, accept: accept.length, reject: reject.length };
+    }
+    return { accept, reject };
+  }
+
+  /**
+   * @param {Quest} quest 
+   * @returns {Object} number of succeed/fail cards played, or only the quest result with hidden fail counts
+   */
+  getQuestVoteResults(quest = this.getCurrentQuest()) {
+    if (this.houseRules.hiddenFailCounts) {
+      return { questNum: quest.questNum, hidden: true, success: quest.success };
+    }
+    return quest.votes;
+  }
+
   initializeQuests() {
-    this.quests = {
-      1: new Quest(1, this.players.length),
-      2: new Quest(2, this.players.length),
-      3: new Quest(3, this.players.length),
-      4: new Quest(4, this.players.length, this.players.length > 6),
-      5: new Quest(5, this.players.length)
-    };
+    this.quests = this.buildQuests();
     this.currentQuestNum = 1;
+    this.roundNum = 1;
     this.players[0].leader = true;
     this.quests[1].currentQuest = true;
     this.quests[1].assignLeaderInfo({
@@ -131,6 +408,49 @@ export default class Game {
     });
   }
 
+  /**
+   * @returns {Object} quests for the current players, from the custom quest table if the host set one
+   */
+  buildQuests() {
+    const numPlayers = this.players.length;
+    const quests = {};
+    for (let questNum = 1; questNum <= 5; questNum++) {
+      if (this.customQuests) {
+        const { teamSize, needsTwoFails } = this.customQuests[questNum - 1];
+        quests[questNum] = new Quest(questNum, numPlayers, needsTwoFails, teamSize);
+      } else {
+        const needsTwoFails = Quest.NEEDS_TWO_FAILS[questNum - 1][numPlayers - 3];
+        quests[questNum] = new Quest(questNum, numPlayers, needsTwoFails);
+      }
+    }
+    return quests;
+  }
+
+  /**
+   * @returns {Object} quests that will be used for the current players and settings, or an empty object if there aren't enough players
+   */
+  getQuestsPreview() {
+    if (!this.customQuests && !Game.BaseRoles[this.players.length]) {
+      return {};
+    }
+    return this.buildQuests();
+  }
+
+  /**
+   * @returns {boolean} true if there are enough players to start a game, or a practice game with bots
+   */
+  hasEnoughPlayers() {
+    return this.playersNeeded() === 0;
+  }
+
+  /**
+   * @returns {number} how many more players have to join before the game can start (fewer once a bot is in the room)
+   */
+  playersNeeded() {
+    const isPractice = this.players.some(player => this.botNames.has(player.name));
+    return Math.max((isPractice ? Game.MIN_PRACTICE_PLAYERS : Game.MIN_PLAYERS) - this.players.length, 0);
+  }
+
   /**
    * @param {string} type - 'player' or 'spectator'
    * @param {string} socketID 
@@ -172,6 +492,15 @@ export default class Game {
     return this.spectators.find(spectator => spectator[key] === value);
   }
 
+  /**
+   * @param {string} arrayName - 'players' or 'spectators'
+   * @param {string} name
+   * @returns {Player} the disconnected player or spectator with the name, whose seat is kept for them to reconnect
+   */
+  getDisconnectedPerson(arrayName, name) {
+    return this[arrayName].find(person => person.name === name && person.disconnected);
+  }
+
   /**
    * @returns {Quest}
    */
@@ -211,10 +540,12 @@ export default class Game {
     if (player && !player.voted) {
       switch (to) {
         case 'team':
+          if (!['accept', 'reject'].includes(decision) || !this.canVoteOnTeam(player)) return false;
           this.getCurrentQuest().addTeamVote(player.name, decision);
           break;
         case 'quest':
-          this.getCurrentQuest().addQuestVote(decision);
+          if (!player.onQuest || !this.getAllowedQuestCards(player).includes(decision)) return false;
+          this.getCurrentQuest().addQuestVote(player.name, decision);
           break;
       }
       player.voted = true;
@@ -223,8 +554,52 @@ export default class Game {
     return false;
   }
 
+  /**
+   * The leader gives Excalibur to a player on the quest other than themself
+   * @param {string} name
+   * @returns {boolean}
+   */
+  giveExcalibur(name) {
+    const player = this.getPlayer('name', name);
+    if (!player || !player.onQuest || player.leader) {
+      return false;
+    }
+    this.resetPlayersProperty('hasExcalibur');
+    player.hasExcalibur = true;
+    this.getCurrentQuest().excaliburHolder = name;
+    return true;
+  }
+
+  /**
+   * @param {string} socketID - socketID of the player holding Excalibur
+   * @param {string} name - Name of the player whose quest card is flipped
+   * @returns {string} the card originally played, or null if it is not allowed
+   */
+  useExcalibur(socketID, name) {
+    const holder = this.getPlayer('hasExcalibur', true);
+    const target = this.getPlayer('name', name);
+    if (!holder || holder.socketID !== socketID || !target || !target.onQuest || target === holder) {
+      return null;
+    }
+    return this.getCurrentQuest().useExcalibur(name);
+  }
+
+  /**
+   * Good players can only succeed, and some evil roles declare their own restrictions (ex: the Lunatic must fail)
+   * @param {Player} player 
+   * @returns {array}
+   */
+  getAllowedQuestCards(player) {
+    if (player.team === 'Good') {
+      return ['succeed'];
+    }
+    const { questCards } = Roles[player.role];
+    return questCards ? questCards(this) : ['succeed', 'fail'];
+  }
+
   assignTeamResult() {
     this.getCurrentQuest().assignTeamResult();
+    if (this.getCurrentQuest().teamAccepted) this.setPhase(Phases.QUEST);
   }
 
   /**
@@ -248,20 +623,262 @@ export default class Game {
     if (playerToAssassinate && playerToAssassinate.team === 'Good') {
       playerToAssassinate.assassinated = true;
       playerToAssassinate.role === 'Merlin' ? this.winningTeam = 'Evil' : this.winningTeam = 'Good';
+      this.setPhase(Phases.FINISHED);
       return true;
     }
     return false;
   }
 
+  initializeLoyaltyDeck() {
+    this.loyaltyDeck = shuffle(objectToArray(LoyaltyDecks[this.lancelotVariant])).slice(0, 3);
+    if (this.lancelotVariant === 2 && !this.hasExpansion('Targeting')) {
+      //variant 2 shows the loyalty cards for quests 3 to 5 at the start of the game
+      this.loyaltyDeck.forEach((card, i) => {
+        this.quests[i + 3].loyaltyCard = card;
+      });
+    }
+  }
+
+  /**
+   * At the start of rounds 3 to 5, a loyalty card is revealed and a Switch card swaps the Lancelots' teams
+   * @returns {string} the card revealed, or null if no card is revealed for the current round
+   */
+  revealLoyaltyCard() {
+    if (this.loyaltyDeck.length === 0 || this.roundNum < 3) {
+      return null;
+    }
+    const card = this.loyaltyDeck[this.roundNum - 3];
+    this.getCurrentQuest().loyaltyCard = card;
+    if (card === 'Switch') {
+      this.players.forEach(player => {
+        if (Lancelots.has(player.role)) {
+          player.team = player.team === 'Good' ? 'Evil' : 'Good';
+        }
+      });
+    }
+    return card;
+  }
+
+  /**
+   * @returns {array}
+   */
+  getLancelots() {
+    return this.players.filter(player => Lancelots.has(player.role));
+  }
+
+  //the Lady of the Lake starts with the player to the right of the first leader
+  initializeLadyOfTheLake() {
+    const holder = this.players[this.players.length - 1];
+    holder.hasLadyOfTheLake = true;
+    holder.heldLadyOfTheLake = true;
+  }
+
+  /**
+   * @returns {Player}
+   */
+  getLadyOfTheLakeHolder() {
+    return this.getPlayer('hasLadyOfTheLake', true);
+  }
+
+  /**
+   * The Lady of the Lake is used after rounds 2, 3 and 4
+   * @returns {boolean}
+   */
+  ladyOfTheLakeIsDue() {
+    return this.hasExpansion('Lady of the Lake') &&
+      [2, 3, 4].includes(this.roundNum) &&
+      !this.ladyOfTheLakeHistory.some(inspection => inspection.roundNum === this.roundNum);
+  }
+
+  /**
+   * @param {string} socketID - socketID of the player holding the Lady of the Lake
+   * @param {string} name - Name of the player to inspect
+   * @returns {boolean}
+   */
+  canUseLadyOfTheLake(socketID, name) {
+    const holder = this.getLadyOfTheLakeHolder();
+    const target = this.getPlayer('name', name);
+    return Boolean(holder && holder.socketID === socketID && target && !target.heldLadyOfTheLake);
+  }
+
+  /**
+   * @param {Player} player 
+   * @returns {boolean} whether the player chooses the team shown when they are inspected (the Trickster)
+   */
+  choosesInspectionResult(player) {
+    return Boolean(Roles[player.role].choosesInspectionResult);
+  }
+
+  /**
+   * Holder learns the target's team, then passes the token to the target
+   * @param {string} socketID - socketID of the player holding the Lady of the Lake
+   * @param {string} name - Name of the player to inspect
+   * @param {string} shownTeam - Team the holder learns, only roles that choose their inspection result (the Trickster) can show a different team
+   * @returns {Object} the inspection, or null if it is not allowed
+   */
+  useLadyOfTheLake(socketID, name, shownTeam) {
+    if (!this.canUseLadyOfTheLake(socketID, name)) {
+      return null;
+    }
+    const holder = this.getLadyOfTheLakeHolder();
+    const target = this.getPlayer('name', name);
+    const inspection = {
+      roundNum: this.roundNum,
+      questNum: this.currentQuestNum,
+      holder: holder.name,
+      target: target.name,
+      team: this.choosesInspectionResult(target) && ['Good', 'Evil'].includes(shownTeam) ? shownTeam : target.team
+    };
+    this.ladyOfTheLakeHistory.push(inspection);
+    this.learnIdentity(holder, target.name, { role: '???', team: inspection.team });
+    holder.hasLadyOfTheLake = false;
+    target.hasLadyOfTheLake = true;
+    target.heldLadyOfTheLake = true;
+    target.inspectedBy = holder.name;
+    return inspection;
+  }
+
+  /**
+   * The Revealer's identity is shown to everyone after the second failed quest
+   * @returns {Player} the Revealer, if they were just revealed
+   */
+  revealRevealer() {
+    const revealer = this.players.find(player => Roles[player.role].revealedOnSecondFail);
+    if (revealer && !revealer.revealed && this.questFails === 2) {
+      revealer.revealed = true;
+      this.players.forEach(player => this.learnIdentity(player, revealer.name, Sight.IDENTITY));
+      return revealer;
+    }
+    return null;
+  }
+
+  /**
+   * The leader draws plot cards to hand out before the team vote, reshuffling the deck when it runs out
+   * @returns {array} the drawn plot cards
+   */
+  drawPlotCards() {
+    const numCards = this.players.length >= 9 ? 3 : this.players.length >= 7 ? 2 : 1;
+    if (this.plotDeck.length < numCards) {
+      this.plotDeck = shuffle(objectToArray(PlotDeck));
+    }
+    this.plotCardsToGive = this.plotDeck.splice(0, numCards);
+    return this.plotCardsToGive;
+  }
+
+  /**
+   * @returns {array} plot cards handed out for the current team proposal
+   */
+  getCurrentPlotCards() {
+    const { questNum, voteTrack } = this.getCurrentQuest();
+    return this.plotCardHistory.filter(plotCard =>
+      plotCard.roundNum === this.roundNum && plotCard.questNum === questNum && plotCard.voteTrack === voteTrack);
+  }
+
+  /**
+   * The leader hands their next plot card to another player who hasn't been given one for this team proposal.
+   * Establish Confidence shows the leader's team to that player straight away
+   * @param {string} socketID - The leader's socket
+   * @param {string} name - Name of the player given the plot card
+   * @returns {Object} the plot card record, or null if the card can't be given to the player
+   */
+  givePlotCard(socketID, name) {
+    const { leaderInfo, questNum, voteTrack } = this.getCurrentQuest();
+    const player = this.getPlayer('name', name);
+    if (leaderInfo.socketID !== socketID || this.plotCardsToGive.length === 0 || !player || player.leader ||
+      this.getCurrentPlotCards().some(plotCard => plotCard.holder === name)) {
+      return null;
+    }
+    const plotCard = {
+      roundNum: this.roundNum,
+      questNum,
+      voteTrack,
+      card: this.plotCardsToGive.shift(),
+      holder: name,
+      target: '',
+      team: ''
+    };
+    if (plotCard.card === 'Establish Confidence') {
+      plotCard.target = leaderInfo.name;
+      plotCard.team = this.getPlayer('name', leaderInfo.name).team;
+      this.learnIdentity(player, plotCard.target, { role: '???', team: plotCard.team });
+    }
+    this.plotCardHistory.push(plotCard);
+    return plotCard;
+  }
+
+  /**
+   * @param {string} name 
+   * @returns {array} names of the players sitting on either side of the player
+   */
+  getAdjacentPlayers(name) {
+    const numPlayers = this.players.length;
+    const index = this.players.findIndex(player => player.name === name);
+    const left = this.players[(index - 1 + numPlayers) % numPlayers].name;
+    const right = this.players[(index + 1) % numPlayers].name;
+    return [...new Set([left, right])];
+  }
+
+  /**
+   * @returns {Object} the Overheard Conversation waiting for its holder to choose a player, if any
+   */
+  getPendingOverheardConversation() {
+    return this.getCurrentPlotCards().find(plotCard => plotCard.card === 'Overheard Conversation' && !plotCard.target);
+  }
+
+  /**
+   * The holder of Overheard Conversation learns the team of a player sitting next to them
+   * @param {string} socketID - The holder's socket
+   * @param {string} name - Name of the player overheard
+   * @returns {Object} the plot card record, or null if the player can't be overheard
+   */
+  overhearConversation(socketID, name) {
+    const plotCard = this.getPendingOverheardConversation();
+    const holder = this.getPlayer('socketID', socketID);
+    if (!plotCard || !holder || plotCard.holder !== holder.name || !this.getAdjacentPlayers(holder.name).includes(name)) {
+      return null;
+    }
+    plotCard.target = name;
+    plotCard.team = this.getPlayer('name', name).team;
+    this.learnIdentity(holder, name, { role: '???', team: plotCard.team });
+    return plotCard;
+  }
+
+  /**
+   * @returns {array} names of the players with Opinion Maker who haven't voted on the team yet
+   */
+  getOpinionMakersYetToVote() {
+    return this.getCurrentPlotCards()
+      .filter(plotCard => plotCard.card === 'Opinion Maker')
+      .map(plotCard => this.getPlayer('name', plotCard.holder))
+      .filter(player => player && !player.voted)
+      .map(player => player.name);
+  }
+
+  /**
+   * Players with Opinion Maker vote on the team before everyone else
+   * @param {Player} player 
+   * @returns {boolean}
+   */
+  canVoteOnTeam(player) {
+    const opinionMakers = this.getOpinionMakersYetToVote();
+    return !player.voted && (opinionMakers.length === 0 || opinionMakers.includes(player.name));
+  }
+
   /**
    * @returns {boolean}
    */
   gameOver() {
     if (this.questSuccesses >= 3) {
+      //The Resistance has no Merlin, and without an Assassin there is no chance for evil to assassinate Merlin
+      if (this.mode === 'Resistance' || !this.houseRules.assassin || !this.getPlayer('role', 'Assassin')) {
+        this.winningTeam = 'Good';
+      }
+      this.setPhase(this.winningTeam ? Phases.FINISHED : Phases.ASSASSINATION);
       return true;
     }
     else if (this.questFails >= 3 || this.getCurrentQuest().voteTrack > 5) {
       this.winningTeam = 'Evil';
+      this.setPhase(Phases.FINISHED);
       return true;
     }
     return false;
@@ -305,6 +922,7 @@ export default class Game {
   assignNextLeader() {
     this.players[this.leaderIndex].leader = false; //reset prev leader Player object
     this.resetPlayersProperty('onQuest');
+    this.resetPlayersProperty('hasExcalibur');
     this.getCurrentQuest().resetQuest();
 
     //increment leaderIndex (mod by playerLength so it wraps around)
@@ -316,45 +934,274 @@ export default class Game {
     }
     //assign new leader to correct Player
     this.players[this.leaderIndex].leader = true;
+    this.setPhase(Phases.TEAM_BUILDING);
     this.getCurrentQuest().assignLeaderInfo({
       name: this.players[this.leaderIndex].name,
       socketID: this.players[this.leaderIndex].socketID
     });
   }
 
+  //with the Targeting variant, the next quest defaults to the first one the leader can target
   startNextQuest() {
-    if (this.currentQuestNum < 5) {
+    const nextQuestNum = this.hasExpansion('Targeting') ?
+      [1, 2, 3, 4, 5].find(questNum => this.canTargetQuest(questNum)) :
+      this.currentQuestNum + 1;
+
+    if (nextQuestNum && nextQuestNum <= 5) {
       this.quests[this.currentQuestNum].currentQuest = false;
-      this.quests[this.currentQuestNum += 1].currentQuest = true;
+      this.currentQuestNum = nextQuestNum;
+      this.quests[this.currentQuestNum].currentQuest = true;
+      this.roundNum++;
       this.assignNextLeader();
+      this.revealLoyaltyCard();
     }
   }
 
-  assignRoles() {
-    let shuffledIdentities;
-    let teamObj = JSON.parse(JSON.stringify(Game.BaseRoles[this.players.length]));
-    if (this.specialRoles.length > 0) {
-      this.specialRoles.forEach(specialRole => {
-        switch (specialRole) {
-          case 'Percival':
-            teamObj['Loyal Servant of Arthur']--;
-            teamObj['Percival'] = 1;
-            break;
-          case 'Mordred':
-            teamObj['Minion of Mordred']--;
-            teamObj['Mordred'] = 1;
-            break;
-          case 'Oberon':
-            teamObj['Minion of Mordred']--;
-            teamObj['Oberon'] = 1;
-            break;
-          case 'Morgana':
-            teamObj['Minion of Mordred']--;
-            teamObj['Morgana'] = 1;
-            break;
-        }
+  /**
+   * Quest 5 can only be targeted after two other quests have succeeded
+   * @param {number} questNum 
+   * @returns {boolean}
+   */
+  canTargetQuest(questNum) {
+    const quest = this.quests[questNum];
+    return Boolean(quest) && quest.success === null && (questNum !== 5 || this.questSuccesses >= 2);
+  }
+
+  /**
+   * Targeting variant: the leader chooses which remaining quest the team attempts
+   * The round's vote track, leader and loyalty card move to the chosen quest
+   * @param {number} questNum 
+   * @returns {boolean}
+   */
+  targetQuest(questNum) {
+    const previousQuest = this.getCurrentQuest();
+    if (!this.hasExpansion('Targeting') || !this.canTargetQuest(questNum) || previousQuest.leaderHasConfirmedTeam) {
+      return false;
+    }
+    if (questNum === this.currentQuestNum) {
+      return true;
+    }
+    const quest = this.quests[questNum];
+    this.resetPlayersProperty('onQuest');
+    previousQuest.resetQuest();
+    quest.voteTrack = previousQuest.voteTrack;
+    quest.loyaltyCard = previousQuest.loyaltyCard;
+    quest.assignLeaderInfo(previousQuest.leaderInfo);
+
+    previousQuest.voteTrack = 0;
+    previousQuest.loyaltyCard = '';
+    previousQuest.currentQuest = false;
+    previousQuest.leaderInfo = { name: '', socketID: null };
+    this.currentQuestNum = questNum;
+    return true;
+  }
+
+  /**
+   * Start from the base roles for the number of players, and swap out
+   * a Loyal Servant or Minion for each role a special role option adds
+   * A negative count means there are too many special roles for the number of players
+   * @param {array} specialRoles 
+   * @param {number} numPlayers 
+   * @returns {Object}
+   */
+  static countRoles(specialRoles, numPlayers) {
+    let teamObj = JSON.parse(JSON.stringify(Game.BaseRoles[numPlayers]));
+    specialRoles.forEach(specialRole => {
+      getSpecialRoleGroup(specialRole).forEach(role => {
+        teamObj[getFillerRole(Roles[role].team, 'Avalon')]--;
+        teamObj[role] = 1;
       });
+    });
+    return teamObj;
+  }
+
+  /**
+   * The Resistance has the same number of good and evil players as Avalon's base roles
+   * @param {number} numPlayers 
+   * @returns {Object}
+   */
+  static countResistanceRoles(numPlayers) {
+    const teamObj = { [getFillerRole('Good', 'Resistance')]: 0, [getFillerRole('Evil', 'Resistance')]: 0 };
+    for (const [role, count] of Object.entries(Game.BaseRoles[numPlayers])) {
+      teamObj[getFillerRole(Roles[role].team, 'Resistance')] += count;
+    }
+    return teamObj;
+  }
+
+  /**
+   * @returns {Object} how many of each role the game will use
+   */
+  getRoleCounts() {
+    if (this.mode === 'Resistance') {
+      return Game.countResistanceRoles(this.players.length);
+    }
+    if (this.customRoles) {
+      return { ...this.customRoles };
+    }
+    return Game.countRoles(this.specialRoles, this.players.length);
+  }
+
+  /**
+   * @returns {Object} role list for the current players and settings, or an empty object if there aren't enough players
+   */
+  getRoleListPreview() {
+    const usesBaseRoles = this.mode === 'Resistance' || !this.customRoles;
+    if (usesBaseRoles && !Game.BaseRoles[this.players.length]) {
+      return {};
+    }
+    return populateRoleList(this.getRoleCounts());
+  }
+
+  /**
+   * @returns {string} error message, or an empty string if the game can start with these roles
+   */
+  validateRoles() {
+    const numPlayers = this.players.length;
+    if (!Game.BaseRoles[numPlayers]) {
+      return `Error: Games need between ${Game.MIN_PLAYERS} and ${Game.MAX_PLAYERS} players,
+                or at least ${Game.MIN_PRACTICE_PLAYERS} for a practice game with bots.`;
+    }
+    if (!this.hasEnoughPlayers()) {
+      return `Error: Games with fewer than ${Game.MIN_PLAYERS} players are practice games, and need at least one bot.`;
+    }
+    if (this.hasExpansion('Lady of the Lake') && numPlayers < 4) {
+      return 'Error: The Lady of the Lake needs at least 4 players, so that there is always someone left to inspect.';
+    }
+    if (this.mode === 'Avalon' && !this.customRoles) {
+      const teamObj = this.getRoleCounts();
+      for (const team of ['Evil', 'Good']) {
+        const filler = getFillerRole(team, 'Avalon');
+        if (teamObj[filler] < 0) {
+          return `Error: Games with ${numPlayers} players can only include ${Game.BaseRoles[numPlayers][filler]} optional ${team.toLowerCase()} role(s).
+                  <br/>Please remove ${-teamObj[filler]}, then click Start Game again.`;
+        }
+      }
+    }
+    return Game.validateRoleCounts(this.getRoleCounts(), numPlayers, this.mode);
+  }
+
+  /**
+   * Make sure a role composition can be played by this many players
+   * @param {Object} teamObj - How many of each role
+   * @param {number} numPlayers 
+   * @param {string} mode - Game mode the roles are for
+   * @returns {string} error message, or an empty string if the roles are valid
+   */
+  static validateRoleCounts(teamObj, numPlayers, mode = 'Avalon') {
+    const roles = Object.keys(teamObj).filter(role => teamObj[role] !== 0);
+    let numGood = 0;
+    let numEvil = 0;
+
+    for (const role of roles) {
+      const count = teamObj[role];
+      if (!Roles.hasOwnProperty(role) || !Roles[role].modes.includes(mode)) {
+        return `Error: '${role}' is not a role.`;
+      }
+      if (!Number.isInteger(count) || count < 0) {
+        return `Error: The number of ${role} must be a whole number of at least 0.`;
+      }
+      const { repeatable, requires, team } = Roles[role];
+      if (count > 1 && !repeatable) {
+        return `Error: A game can only include one ${role}.`;
+      }
+      if (requires && !teamObj[requires]) {
+        return `Error: ${role} cannot be included without ${requires}.`;
+      }
+      team === 'Good' ? numGood += count : numEvil += count;
+    }
+
+    if (numGood + numEvil !== numPlayers) {
+      return `Error: The roles add up to ${numGood + numEvil} players, but there are ${numPlayers} players in the room.
+                <br/>Please change the roles, then click Start Game again.`;
+    }
+    if (numEvil < 1) {
+      return 'Error: The game needs at least 1 evil role.';
+    }
+    if (numEvil >= numGood) {
+      return `Error: Evil must be outnumbered by good, but there are ${numGood} good and ${numEvil} evil roles.`;
+    }
+    return '';
+  }
+
+  /**
+   * @returns {string} error message, or an empty string if the game can start with these quests
+   */
+  validateQuests() {
+    if (!this.customQuests) return '';
+    const errorMsg = Game.validateQuestTable(this.customQuests, this.players.length);
+    if (errorMsg) return errorMsg;
+    if (this.hasExpansion('Excalibur') && this.customQuests.some(({ teamSize }) => teamSize < 2)) {
+      return 'Error: Excalibur needs every quest team to have at least 2 players.';
+    }
+    return '';
+  }
+
+  /**
+   * Make sure a custom quest table can be played by this many players
+   * @param {array} customQuests - Team size & two-fail requirement of each quest
+   * @param {number} numPlayers 
+   * @returns {string} error message, or an empty string if the quest table is valid
+   */
+  static validateQuestTable(customQuests, numPlayers = Game.MAX_PLAYERS) {
+    if (!Array.isArray(customQuests) || customQuests.length !== 5) {
+      return 'Error: The quest table must have 5 quests.';
     }
+    for (const [i, quest] of customQuests.entries()) {
+      const { teamSize, needsTwoFails } = quest || {};
+      if (!Number.isInteger(teamSize) || teamSize < 1 || teamSize > numPlayers) {
+        return `Error: The team for quest ${i + 1} must have between 1 and ${numPlayers} players.`;
+      }
+      if (typeof needsTwoFails !== 'boolean') {
+        return `Error: Quest ${i + 1} must either need 1 or 2 fails.`;
+      }
+      if (needsTwoFails && teamSize < 2) {
+        return `Error: Quest ${i + 1} needs 2 fails, so its team must have at least 2 players.`;
+      }
+    }
+    return '';
+  }
+
+  //what each player knows about the others because of their role
+  initializeKnownIdentities() {
+    const matrix = getKnowledgeMatrix(this.players, this.lancelotVariant);
+    this.players.forEach(player => {
+      player.knownIdentities = matrix[player.name];
+    });
+  }
+
+  /**
+   * Record something a player learns about another player during the game (ex: with the Lady of the Lake),
+   * without forgetting anything they already know for certain
+   * @param {Player} viewer 
+   * @param {string} name - Name of the player learned about
+   * @param {string|Object} knowledge - Sight.TEAM, Sight.IDENTITY, or the { role, team } the player appears as
+   */
+  learnIdentity(viewer, name, knowledge) {
+    const known = viewer.knownIdentities[name];
+    if (viewer.name === name || known === Sight.IDENTITY) return;
+    if (known === Sight.TEAM && knowledge !== Sight.IDENTITY) return;
+    //an inspection that agrees with how the player already appears adds nothing (ex: Percival inspecting Merlin)
+    if (typeof known === 'object' && typeof knowledge === 'object' && known.team === knowledge.team) return;
+    viewer.knownIdentities[name] = knowledge;
+  }
+
+  /**
+   * @param {Player} viewer - Player viewing the cards, or null for a spectator
+   * @returns {Object} what the viewer knows about each player, by name
+   */
+  getKnownIdentities(viewer) {
+    if (viewer) return viewer.knownIdentities;
+    //spectators only know the identities revealed to everyone
+    const knownIdentities = {};
+    this.players.filter(player => player.revealed).forEach(player => {
+      knownIdentities[player.name] = Sight.IDENTITY;
+    });
+    return knownIdentities;
+  }
+
+  assignRoles() {
+    let shuffledIdentities;
+    let teamObj = this.getRoleCounts();
     this.roleList = populateRoleList(teamObj);
     shuffledIdentities = shuffle(objectToArray(teamObj));
     for (let i in this.players) {
@@ -1,96 +1,220 @@
 import socketIO from 'socket.io-client';
-import { Rooms } from '../app.mjs';
+import { PROTOCOL_VERSION } from '../socket/protocol.mjs';
+import { BOT_KEY } from '../socket/rateLimits.mjs';
+import { logger } from '../logger.mjs';
 
-const nameList = ["John", "Larry", "Barry", "Sean", "Harry", "Lisa", "Lindsey", "Jennifer", "Kathy", "Linda"];
+const nameList = ["John", "Larry", "Barry", "Sean", "Harry", "Lisa", "Lindsey", "Jennifer", "Kathy", "Linda", "Oscar", "Maria"];
 let nameIndex = Math.floor(Math.random() * nameList.length);
+let runningBots = 0;
 
 // the risk score above which, Good players will always reject teams with player and not put player on quest tams
 //right now, the value 10 is based on nothing
 const RISK_THRESHOLD = 10;
 
+// how many times the bot makes a refused move again before waiting for the next snapshot
+const MAX_REFUSED_MOVES = 10;
+
 export default class GameBot {
-    constructor(roomCode, port) {
-        this.socket = socketIO.connect(`http://localhost:${port}`);
-        this.playerName = `${nameList[(nameIndex++) % (nameList.length)]} The Bot`;
+    /**
+     * @param {number} roomCode
+     * @param {number} port
+     * @param {string} playerName - Name of a bot already in the room, to reconnect it after a restart
+     * @param {string} sessionToken - Session token of that bot
+     */
+    constructor(roomCode, port, playerName = null, sessionToken = null) {
+        runningBots++;
+        this.socket = socketIO.connect(`http://localhost:${port}`, {
+            query: { protocolVersion: PROTOCOL_VERSION, botKey: BOT_KEY }
+        });
+        this.playerName = playerName || `${nameList[(nameIndex++) % (nameList.length)]} The Bot`;
+        this.sessionToken = sessionToken;
         this.roomCode = roomCode;
         this.team = '';
+        this.seq = 0; //latest snapshot of the room
+        this.phase = null;
+        this.isStarted = false;
         this.sanitizedPlayers = [];
+        this.quests = {};
+        this.movesMade = {}; //action name to the occurrence of the action the bot already made a move for
+        this.actions = null; //actions offered to the bot by the latest snapshot
+        this.lastMove = null; //action of the bot's latest move
+        this.refusedMoves = 0; //since the latest snapshot
         this.playerRiskScores = []; //player name, identityKnown boolean, and riskScore
+        this.stopped = false;
+        this.log = logger.child({ roomCode, player: this.playerName, phase: () => this.phase });
     };
 
+    /**
+     * @returns {number} how many bots this server process is running
+     */
+    static get running() {
+        return runningBots;
+    }
+
+    /**
+     * Set with MAX_BOTS in .env
+     * @returns {number} how many bots this server process can run at once
+     */
+    static get MAX_RUNNING() {
+        return Number(process.env.MAX_BOTS) || 200;
+    }
+
     //everything socket related goes here
     listen() {
         this.socket.emit("joinRoom", {
             roomCode: this.roomCode,
-            playerName: this.playerName
+            playerName: this.playerName,
+            sessionToken: this.sessionToken
         });
 
         /**
-         * @param {boolean} startGame
+         * The bot plays from the same snapshots as everyone else's page
+         * @param {Object} game - See gameView
          */
-        this.socket.on('startGame', ({ startGame }) => {
-            if (startGame) {
-                let self = Rooms[this.roomCode].getPlayer('socketID', this.socket.id);
-                this.team = self.team;
-                this.initializePlayerRiskScores();
-            }
+        this.socket.on('syncGame', (game) => {
+            if (game.seq <= this.seq) return;
+            this.seq = game.seq;
+            this.phase = game.phase;
+            this.sanitizedPlayers = game.players;
+            this.quests = game.quests;
+            //a Lancelot's team can switch during the game
+            const self = game.players.find(player => player.name === this.playerName);
+            if (self && self.team) this.team = self.team;
+            if (game.isStarted && !this.isStarted) this.initializePlayerRiskScores();
+            this.isStarted = game.isStarted;
+            this.actions = game.actions;
+            this.refusedMoves = 0;
+            this.makeMoves(game.actions);
         });
 
         /**
-         * @param {array} Players
+         * @param {Object} quest - Public view of the quest that was just voted on
          */
-        this.socket.on("updatePlayerCards", (players) => {
-            this.sanitizedPlayers = players;
+        this.socket.on('updateBotRiskScores', (quest) => {
+            this.updatePlayerRiskScores(quest);
         });
 
-        /**
-         * Accept of Reject the vote for Quest Teams
-         * @param {boolean} showAcceptOrRejectTeamBtns
-         */
-        this.socket.on("showAcceptOrRejectTeamBtns", (showAcceptOrRejectTeamBtns) => {
-            if (showAcceptOrRejectTeamBtns) {
-                this.socket.emit("playerAcceptsOrRejectsTeam", this.botAcceptOrRejectTeam());
+        //a bot that couldn't join the room (ex: it is full, or was closed) has nothing left to do,
+        //and a refused move is made again, as a random target can be refused (ex: the Assassin can't see Oberon)
+        this.socket.on('updateErrorMsg', (msg) => {
+            if (this.seq === 0) return this.stop('bot could not join the room', msg);
+            this.log.warn('bot move refused', { event: this.lastMove, error: msg });
+            if (this.lastMove && this.refusedMoves++ < MAX_REFUSED_MOVES) {
+                delete this.movesMade[this.lastMove];
+                this.makeMoves(this.actions);
             }
         });
+        this.socket.on('protocolError', ({ message }) => {
+            if (this.seq === 0) this.stop('bot could not join the room', message);
+        });
+        this.socket.on('connect_error', (err) => {
+            this.stop('bot could not connect', err.message);
+        });
 
-        /**
-         * @param {number} questNum
-         */
-        this.socket.on('updateBotRiskScores', (questNum) => {
-            this.updatePlayerRiskScores(questNum);
+        //everyone is sent home when the room is closed
+        this.socket.on('windowReload', () => {
+            this.stop('bot leaving the room');
+        });
+        this.socket.on('disconnect', (reason) => {
+            this.stop('bot disconnected', reason);
         });
+    }
 
-        /**
-         * @param {boolean} showAddRemovePlayerBtns
-         */
-        this.socket.on('showAddRemovePlayerBtns', (showAddRemovePlayerBtns) => {
-            if (showAddRemovePlayerBtns) {
-                this.team === 'Evil' ? this.makeEvilLeaderPicks() : this.makeGoodLeaderPicks();
-            }
+    /**
+     * Closes the bot's socket, so it no longer counts towards MAX_RUNNING
+     * @param {string} msg - Why the bot stopped, for the logs
+     * @param {string} error
+     */
+    stop(msg, error) {
+        if (this.stopped) return;
+        this.stopped = true;
+        runningBots--;
+        if (error) this.log.warn(msg, { error });
+        else this.log.info(msg);
+        this.socket.disconnect();
+    }
+
+    /**
+     * @param {Object} actions - The actions the bot can take right now (see actionsView)
+     */
+    makeMoves(actions) {
+        this.makeMove('playerAcceptsOrRejectsTeam', actions.playerAcceptsOrRejectsTeam, () => {
+            this.socket.emit("playerAcceptsOrRejectsTeam", this.botAcceptOrRejectTeam());
+        });
+
+        this.makeMove('addRemovePlayerFromQuest', actions.addRemovePlayerFromQuest, () => {
+            this.team === 'Evil' ? this.makeEvilLeaderPicks() : this.makeGoodLeaderPicks();
         });
 
-        this.socket.on('showSucceedOrFailQuestBtns', () => {
+        //give the plot card to a random player who hasn't been given one yet
+        const plotCard = actions.givePlotCard;
+        this.makeMove('givePlotCard', plotCard && `${plotCard.card} ${plotCard.givenTo.length}`, () => {
+            const candidates = this.sanitizedPlayers.filter(player =>
+                player.name !== this.playerName && !plotCard.givenTo.includes(player.name));
+            const toGive = candidates[Math.floor(Math.random() * candidates.length)];
+            this.socket.emit('givePlotCard', toGive.name);
+        });
+
+        const adjacentPlayers = actions.overhearConversation;
+        this.makeMove('overhearConversation', adjacentPlayers.length > 0, () => {
+            this.socket.emit('overhearConversation', adjacentPlayers[0]);
+        });
+
+        const questCards = actions.questVote;
+        this.makeMove('questVote', questCards.length > 0, () => {
             let decision;
 
-            if (Rooms[this.roomCode].currentQuestNum === 1) decision = 'succeed';
+            if (!questCards.includes('succeed')) decision = 'fail';
+            else if (!questCards.includes('fail')) decision = 'succeed';
+            else if (this.getCurrentQuest().questNum === 1) decision = 'succeed';
             else decision = this.team === 'Evil' ? 'fail' : 'succeed';
+            this.log.debug('bot plays quest card', { event: 'questVote', decision });
             this.socket.emit('questVote', decision);
         });
 
-        /**
-         * @param {boolean} showAssassinateBtn
-         */
-        this.socket.on('showAssassinateBtn', (showAssassinateBtn) => {
-            if (showAssassinateBtn) {
-                let toAssassinate = Math.floor(Math.random() * this.sanitizedPlayers.length);
-                while (this.sanitizedPlayers[toAssassinate].team === 'Evil') {
-                    toAssassinate = Math.floor(Math.random() * this.sanitizedPlayers.length);
-                }
-                this.socket.emit('assassinatePlayer', this.sanitizedPlayers[toAssassinate].name);
+        //the Trickster always claims to be Good when inspected
+        this.makeMove('tricksterShowsTeam', actions.tricksterShowsTeam, () => {
+            this.socket.emit('tricksterShowsTeam', 'Good');
+        });
+
+        this.makeMove('useExcalibur', actions.useExcalibur, () => {
+            this.socket.emit('useExcalibur', null);
+        });
+
+        //inspect a random player who has not held the Lady of the Lake
+        this.makeMove('ladyOfTheLakeInspect', actions.ladyOfTheLakeInspect, () => {
+            const candidates = this.sanitizedPlayers.filter(player => !player.heldLadyOfTheLake);
+            const toInspect = candidates[Math.floor(Math.random() * candidates.length)];
+            this.socket.emit('ladyOfTheLakeInspect', toInspect.name);
+        });
+
+        this.makeMove('assassinatePlayer', actions.assassinatePlayer, () => {
+            let toAssassinate = Math.floor(Math.random() * this.sanitizedPlayers.length);
+            while (this.sanitizedPlayers[toAssassinate].team === 'Evil') {
+                toAssassinate = Math.floor(Math.random() * this.sanitizedPlayers.length);
             }
+            this.socket.emit('assassinatePlayer', this.sanitizedPlayers[toAssassinate].name);
         });
     }
 
+    /**
+     * Snapshots keep offering an action until the server has handled the bot's move,
+     * so the bot only moves once each time the action comes up
+     * @param {string} action
+     * @param {*} occurrence - Which time the action came up, or a falsy value if the bot can't take it
+     * @param {function} move
+     */
+    makeMove(action, occurrence, move) {
+        if (!occurrence) {
+            delete this.movesMade[action];
+        } else if (this.movesMade[action] !== occurrence) {
+            this.movesMade[action] = occurrence;
+            this.lastMove = action;
+            this.log.debug('bot move', { event: action });
+            move();
+        }
+    }
+
     initializePlayerRiskScores() {
         this.playerRiskScores = [];
         this.sanitizedPlayers.forEach(player => {
@@ -106,11 +230,25 @@ export default class GameBot {
         });
     }
 
+    /**
+     * @returns {Object} public view of the quest being played
+     */
+    getCurrentQuest() {
+        return Object.values(this.quests).find(quest => quest.currentQuest);
+    }
+
+    /**
+     * @returns {array} names of the players on the current quest team
+     */
+    getPlayersOnQuest() {
+        return this.sanitizedPlayers.filter(player => player.onQuest).map(player => player.name);
+    }
+
     /**
      * @returns {string}
      */
     botAcceptOrRejectTeam() {
-        const currentQuest = Rooms[this.roomCode].getCurrentQuest();
+        const currentQuest = this.getCurrentQuest();
         let decision;
         if (this.team === 'Evil') {
             decision = this.makeEvilQuestTeamVote(currentQuest);
@@ -130,7 +268,7 @@ export default class GameBot {
             return 'accept';
         }
         else {
-            Array.from(currentQuest.playersOnQuest).forEach(playerName => {
+            this.getPlayersOnQuest().forEach(playerName => {
                 let player = this.sanitizedPlayers.find(player => player.name === playerName);
                 if (player.team === 'Evil') {
                     evilAmount++;
@@ -149,7 +287,7 @@ export default class GameBot {
             return 'accept';
         }
         else { //determine each player's risk
-            Array.from(currentQuest.playersOnQuest).forEach(playerName => {
+            this.getPlayersOnQuest().forEach(playerName => {
                 let player = this.sanitizedPlayers.find(player => player.name === playerName);
                 if (player.team === 'Evil') {
                     return 'reject';
@@ -166,36 +304,54 @@ export default class GameBot {
     }
 
     makeEvilLeaderPicks() {
-        const { teamSize } = Rooms[this.roomCode].getCurrentQuest();
-        const sortedPlayerRiskScores = this.playerRiskScores.sort((a, b) => (a.risk > b.risk));
+        const { teamSize } = this.getCurrentQuest();
+        const sortedPlayerRiskScores = this.playerRiskScores.sort((a, b) => a.risk - b.risk);
 
-        let evilPlayer = sortedPlayerRiskScores.find(player => player.team === 'Evil');
+        //a Lancelot who switched to evil may not know any other evil players, so picks themself
+        let evilPlayer = sortedPlayerRiskScores.find(player => player.team === 'Evil') ||
+            sortedPlayerRiskScores.find(player => player.name === this.playerName);
+        let picks = [evilPlayer.name];
         this.socket.emit("addRemovePlayerFromQuest", 'add', evilPlayer.name);
 
-        for (let i = 0; i < teamSize; i++) {
-            if (sortedPlayerRiskScores[i].team !== 'Evil') {
+        //fill the rest of the team with the least suspicious good players
+        for (let i = 0; picks.length < teamSize && i < sortedPlayerRiskScores.length; i++) {
+            if (sortedPlayerRiskScores[i].team !== 'Evil' && !picks.includes(sortedPlayerRiskScores[i].name)) {
+                picks.push(sortedPlayerRiskScores[i].name);
                 this.socket.emit("addRemovePlayerFromQuest", 'add', sortedPlayerRiskScores[i].name);
             }
         }
-        this.socket.emit('leaderHasConfirmedTeam');
+        this.confirmTeam(picks);
     }
 
     makeGoodLeaderPicks() {
-        const { teamSize } = Rooms[this.roomCode].getCurrentQuest();
+        const { teamSize } = this.getCurrentQuest();
 
         //add players with the lowest risk score
-        const sortedPlayerRiskScores = this.playerRiskScores.sort((a, b) => (a.risk > b.risk));
+        const sortedPlayerRiskScores = this.playerRiskScores.sort((a, b) => a.risk - b.risk);
+        let picks = [];
         for (let i = 0; i < teamSize; i++) {
+            picks.push(sortedPlayerRiskScores[i].name);
             this.socket.emit("addRemovePlayerFromQuest", 'add', sortedPlayerRiskScores[i].name);
         }
-        this.socket.emit('leaderHasConfirmedTeam');
+        this.confirmTeam(picks);
+    }
+
+    /**
+     * Confirm the team, giving Excalibur to the first pick who isn't this bot
+     * @param {array} picks - Names of the players added to the quest
+     */
+    confirmTeam(picks) {
+        const excaliburHolder = picks.find(name => name !== this.playerName);
+        this.socket.emit('leaderHasConfirmedTeam', excaliburHolder);
     }
 
     /**
-     * @param {number} questNum 
+     * @param {Object} quest - Public view of the quest
      */
-    updatePlayerRiskScores(questNum) {
-        let quest = Rooms[this.roomCode].quests[questNum];
+    updatePlayerRiskScores(quest) {
+        //anonymous team votes only reveal how many players accepted & rejected
+        const { accept, reject } = quest.acceptOrRejectTeam && !quest.acceptOrRejectTeam.anonymous ?
+            quest.acceptOrRejectTeam : { accept: [], reject: [] };
 
         this.sanitizedPlayers.forEach(player => {
             let playerRiskScore = this.playerRiskScores.find(playerRiskScore => playerRiskScore.name === player.name);
@@ -203,14 +359,14 @@ export default class GameBot {
                 quest.success ? playerRiskScore.risk-- : playerRiskScore.risk++;
             }
             //check for player on quest
-            if (Array.from(quest.playersOnQuest).includes(player.name) && player.team === '???') {
+            if (quest.playersOnQuest.includes(player.name) && player.team === '???') {
                 quest.success ? playerRiskScore.risk-- : playerRiskScore.risk += 10;
             }
             //check for vote accept
-            if (quest.acceptOrRejectTeam.accept.includes(player.name)) {
+            if (accept.includes(player.name)) {
                 quest.success ? playerRiskScore.risk-- : playerRiskScore.risk += 10;
             }
-            if (quest.acceptOrRejectTeam.reject.includes(player.name)) {
+            if (reject.includes(player.name)) {
                 quest.success ? playerRiskScore.risk += 10 : playerRiskScore.risk--;
             }
         })
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import socketIO from 'socket.io';
+import GameBot from './gameBot.mjs';
+
+/**
+ * @param {function} onConnection - Called with each socket that connects
+ * @returns {Promise} the server, once it is listening on a free port
+ */
+function startServer(onConnection) {
+  const server = http.createServer();
+  socketIO(server).on('connection', onConnection);
+  return new Promise(resolve => server.listen(0, () => resolve(server)));
+}
+
+/**
+ * @param {Promise} promise
+ * @param {string} what - What the test is waiting for
+ * @returns {Promise} the promise, or an error if it takes more than 2 seconds
+ */
+function within(promise, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out waiting for ${what}.`)), 2000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+test('a bot that is refused by the room stops running', async () => {
+  let serverSocket;
+  const disconnected = new Promise(resolve => {
+    serverSocket = socket => {
+      socket.on('joinRoom', () => socket.emit('updateErrorMsg', "Error: Room '1234' has reached a capacity of 12."));
+      socket.on('disconnect', resolve);
+    };
+  });
+  const server = await startServer(serverSocket);
+  const running = GameBot.running;
+  const bot = new GameBot(1234, server.address().port);
+
+  try {
+    assert.equal(GameBot.running, running + 1);
+    bot.listen();
+    await within(disconnected, 'the bot to disconnect');
+    assert.equal(GameBot.running, running);
+    assert.equal(bot.socket.connected, false);
+
+    //a bot is only counted out once, however many ways it is told to stop
+    bot.stop('bot leaving the room');
+    assert.equal(GameBot.running, running);
+  }
+  finally {
+    bot.stop('bot leaving the room');
+    server.close();
+  }
+});
+
+test('a bot makes a refused move again', async () => {
+  let serverSocket;
+  const targets = [];
+  const assassinated = new Promise(resolve => {
+    serverSocket = socket => {
+      socket.on('joinRoom', ({ playerName }) => socket.emit('syncGame', {
+        seq: 1,
+        phase: 'assassination',
+        isStarted: false,
+        players: [{ name: playerName, team: 'Evil' }, { name: 'Player 1', team: null }, { name: 'Player 2', team: null }],
+        quests: {},
+        actions: {
+          playerAcceptsOrRejectsTeam: false,
+          addRemovePlayerFromQuest: false,
+          givePlotCard: null,
+          overhearConversation: [],
+          questVote: [],
+          tricksterShowsTeam: false,
+          useExcalibur: false,
+          ladyOfTheLakeInspect: false,
+          assassinatePlayer: true
+        }
+      }));
+      //the first target is refused, as if they were Oberon
+      socket.on('assassinatePlayer', target => {
+        targets.push(target);
+        if (targets.length === 1) socket.emit('updateErrorMsg', 'Error: The Assassin can only assassinate a good player.');
+        else resolve();
+      });
+    };
+  });
+  const server = await startServer(serverSocket);
+  const bot = new GameBot(1234, server.address().port);
+
+  try {
+    bot.listen();
+    await within(assassinated, 'the bot to assassinate again');
+    assert.equal(targets.length, 2);
+  }
+  finally {
+    bot.stop('bot leaving the room');
+    server.close();
+  }
+});
@@ -0,0 +1,270 @@
+/**
+ * The record of a finished game, which players can download to look back at the game (or show it to others),
+ * and upload again on the home page to step through it. Finished games are also saved in this format for their replay.
+ *
+ * A record is a JSON object:
+ * - format: always 'avalon-game-record'
+ * - version: RECORD_VERSION of the server that wrote it
+ * - id: ID of the game's replay
+ * - roomCode: Room the game was played in
+ * - finishedAt: When the game ended, in ms since 1970
+ * - events: Everything that happened in the game, in order (see EventSchemas). The first is always 'gameStarted',
+ *   with the players, their roles & the settings, and the last always 'gameOver'
+ * - chat: Messages sent during the game, each { time, player, message }. player is null for the server's messages
+ *
+ * Every event has its type, the phase & quest number it happened in, and its time in ms since 1970, along with:
+ * - gameStarted: players ({ name, role, team }), quests ({ questNum, teamSize, needsTwoFails, loyaltyCard }),
+ *   settings (mode, specialRoles, customRoles, customQuests, lancelotVariant, expansions, houseRules),
+ *   ladyOfTheLake (who holds it first, or null)
+ * - leaderChosen: leader, proposal (1 to 6: the game is only lost once a 6th team in a row is rejected)
+ * - questTargeted: previousQuestNum (the quest the leader would have played instead)
+ * - teamProposed: leader, proposal, team (names), excaliburHolder (or null)
+ * - plotCardGiven: card, leader, holder
+ * - plotCardUsed: card, holder, target, team (what the holder learned)
+ * - teamVote: proposal, accept & reject (names), approved, hammer (approved without a vote), anonymous (names were hidden)
+ * - excalibur: holder, target & originalCard (the card it flipped), both null if it wasn't used
+ * - questResult: team, succeed & fail (how many cards of each), success, cards (each player's card),
+ *   hiddenFailCounts (only the result was shown)
+ * - revealerRevealed: player
+ * - ladyOfTheLake: holder, target, team (what the holder was shown)
+ * - loyaltyCard: card ('No Change' or 'Switch'), lancelots ({ name, team } once the card is played)
+ * - assassination: assassin, target, targetRole
+ * - gameOver: winningTeam, reason ('questsSucceeded', 'questsFailed', 'teamsRejected', 'merlinAssassinated'
+ *   or 'merlinSurvived')
+ *
+ * Records of older versions are always read by newer servers: bump RECORD_VERSION for any change to the format,
+ * and upgrade records of the older versions in readGameRecord.
+ */
+
+import { validate } from '../socket/protocol.mjs';
+import { Phases } from './phases.mjs';
+import Game from './game.mjs';
+
+export const RECORD_FORMAT = 'avalon-game-record';
+export const RECORD_VERSION = 1;
+
+// only the end of a very long chat is kept
+const MAX_CHAT_MESSAGES = 2000;
+
+const Name = { type: 'string', minLength: 1, maxLength: 20 };
+const Names = { type: 'array', items: Name, maxItems: Game.MAX_PLAYERS };
+const Team = { type: 'string', enum: ['Good', 'Evil'] };
+const Role = { type: 'string', minLength: 1, maxLength: 40 };
+const Proposal = { type: 'integer', min: 1, max: 6 };
+const QuestNum = { type: 'integer', min: 1, max: 5 };
+const QuestCard = { type: 'string', enum: ['succeed', 'fail'] };
+const Time = { type: 'integer', min: 0 };
+const LoyaltyCard = { type: 'string', enum: ['', 'No Change', 'Switch'] };
+
+const Settings = {
+  type: 'object',
+  properties: {
+    mode: { type: 'string', enum: ['Avalon', 'Resistance'] },
+    specialRoles: { type: 'array', items: Role, maxItems: 20 },
+    customRoles: { type: 'object', nullable: true, values: { type: 'integer', min: 0, max: 12 }, maxKeys: 30 },
+    customQuests: {
+      type: 'array',
+      nullable: true,
+      minItems: 5,
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: { teamSize: { type: 'integer', min: 1, max: 12 }, needsTwoFails: { type: 'boolean' } }
+      }
+    },
+    lancelotVariant: { type: 'integer', enum: [1, 2] },
+    expansions: { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: 10 },
+    houseRules: { type: 'object', values: { type: 'boolean' }, maxKeys: 10 }
+  }
+};
+
+// what each type of event has, besides its type, phase, questNum & time
+const EventSchemas = {
+  gameStarted: {
+    players: {
+      type: 'array',
+      //practice games with bots have fewer players than a full game
+      minItems: Game.MIN_PRACTICE_PLAYERS,
+      maxItems: Game.MAX_PLAYERS,
+      items: { type: 'object', properties: { name: Name, role: Role, team: Team } }
+    },
+    quests: {
+      type: 'array',
+      minItems: 5,
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          questNum: QuestNum,
+          teamSize: { type: 'integer', min: 1, max: 12 },
+          needsTwoFails: { type: 'boolean' },
+          loyaltyCard: LoyaltyCard
+        }
+      }
+    },
+    settings: Settings,
+    ladyOfTheLake: { ...Name, nullable: true }
+  },
+  leaderChosen: { leader: Name, proposal: Proposal },
+  questTargeted: { previousQuestNum: QuestNum },
+  teamProposed: { leader: Name, proposal: Proposal, team: Names, excaliburHolder: { ...Name, nullable: true } },
+  plotCardGiven: { card: { type: 'string', maxLength: 40 }, leader: Name, holder: Name },
+  plotCardUsed: { card: { type: 'string', maxLength: 40 }, holder: Name, target: Name, team: Team },
+  teamVote: {
+    proposal: Proposal,
+    accept: Names,
+    reject: Names,
+    approved: { type: 'boolean' },
+    hammer: { type: 'boolean' },
+    anonymous: { type: 'boolean' }
+  },
+  excalibur: { holder: Name, target: { ...Name, nullable: true }, originalCard: { ...QuestCard, nullable: true } },
+  questResult: {
+    team: Names,
+    succeed: { type: 'integer', min: 0, max: 12 },
+    fail: { type: 'integer', min: 0, max: 12 },
+    success: { type: 'boolean' },
+    cards: { type: 'object', values: QuestCard, maxKeys: 12 },
+    hiddenFailCounts: { type: 'boolean' }
+  },
+  revealerRevealed: { player: Name },
+  ladyOfTheLake: { holder: Name, target: Name, team: Team },
+  loyaltyCard: {
+    card: LoyaltyCard,
+    lancelots: { type: 'array', items: { type: 'object', properties: { name: Name, team: Team } }, maxItems: 2 }
+  },
+  assassination: { assassin: Name, target: Name, targetRole: Role },
+  gameOver: {
+    winningTeam: Team,
+    reason: {
+      type: 'string',
+      enum: ['questsSucceeded', 'questsFailed', 'teamsRejected', 'merlinAssassinated', 'merlinSurvived']
+    }
+  }
+};
+
+// the players each type of event names, which all have to be in the game
+const EventNames = {
+  gameStarted: event => [event.ladyOfTheLake],
+  leaderChosen: event => [event.leader],
+  teamProposed: event => [event.leader, ...event.team, event.excaliburHolder],
+  plotCardGiven: event => [event.leader, event.holder],
+  plotCardUsed: event => [event.holder, event.target],
+  teamVote: event => [...event.accept, ...event.reject],
+  excalibur: event => [event.holder, event.target],
+  questResult: event => [...event.team, ...Object.keys(event.cards)],
+  revealerRevealed: event => [event.player],
+  ladyOfTheLake: event => [event.holder, event.target],
+  loyaltyCard: event => event.lancelots.map(lancelot => lancelot.name),
+  assassination: event => [event.assassin, event.target],
+  gameOver: () => []
+};
+
+const RecordSchema = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: [RECORD_FORMAT] },
+    version: { type: 'integer', enum: [RECORD_VERSION] },
+    id: { type: 'string', pattern: /^[0-9a-f]{16}$/ },
+    roomCode: { type: 'integer', min: 1, max: 9999 },
+    finishedAt: Time,
+    //each event is checked against the schema of its type
+    events: { type: 'array', minItems: 2, maxItems: 2000, items: { type: 'object' } },
+    chat: {
+      type: 'array',
+      maxItems: MAX_CHAT_MESSAGES,
+      items: {
+        type: 'object',
+        properties: { time: Time, player: { ...Name, nullable: true }, message: { type: 'string', maxLength: 1000 } }
+      }
+    }
+  }
+};
+
+/**
+ * @param {Game} game - A game that just ended
+ * @param {string} id - ID of the game's replay
+ * @returns {Object} the record of the game
+ */
+export function buildGameRecord(game, id) {
+  const startedAt = game.gameLog[0].time;
+  return {
+    format: RECORD_FORMAT,
+    version: RECORD_VERSION,
+    id,
+    roomCode: Number(game.roomCode),
+    finishedAt: Date.now(),
+    //only what the format has, so the record doesn't change along with the game log
+    events: game.gameLog.map(event => {
+      const record = { type: event.type, phase: event.phase, questNum: event.questNum, time: event.time };
+      Object.keys(EventSchemas[event.type]).forEach(key => record[key] = event[key]);
+      return record;
+    }),
+    chat: game.chat
+      .filter(msgObj => msgObj.id >= startedAt)
+      .slice(-MAX_CHAT_MESSAGES)
+      .map(msgObj => ({ time: msgObj.id, player: msgObj.playerName || null, message: msgObj.serverMsg || msgObj.msg }))
+  };
+}
+
+/**
+ * @param {Object} event
+ * @param {string} path - Where the event is in the record, for error messages
+ * @returns {string} what is wrong with the event, or an empty string if it is valid
+ */
+function validateEvent(event, path) {
+  if (!EventSchemas.hasOwnProperty(event.type)) return `${path}.type is not valid`;
+  const schema = {
+    type: 'object',
+    properties: {
+      type: { type: 'string' },
+      phase: { type: 'string', enum: Object.values(Phases) },
+      questNum: QuestNum,
+      time: Time,
+      ...EventSchemas[event.type]
+    }
+  };
+  return validate(schema, event, path);
+}
+
+/**
+ * @param {array} events - Events that each match the schema of their type, starting with gameStarted
+ * @returns {string} what is wrong with the first event that names someone who isn't in the game, or an empty string
+ */
+function checkEventNames(events) {
+  const names = events[0].players.map(player => player.name);
+  if (new Set(names).size !== names.length) return 'record.events[0].players has the same name more than once';
+  for (const [i, event] of events.entries()) {
+    const unknown = EventNames[event.type](event).find(name => name !== null && !names.includes(name));
+    if (unknown !== undefined) return `record.events[${i}] names '${unknown}', who is not in the game`;
+  }
+  return '';
+}
+
+/**
+ * Checks a record uploaded by a player, which could have been written by an older server or edited by hand
+ * @param {Object} record
+ * @returns {Object} { record, error }: the record in the current version, or what is wrong with it
+ */
+export function readGameRecord(record) {
+  if (record.format !== RECORD_FORMAT) return { error: 'This is not a game record.' };
+  if (typeof record.version === 'number' && record.version > RECORD_VERSION) {
+    return { error: 'This game record was made by a newer version of the server.' };
+  }
+
+  const error = validate(RecordSchema, record, 'record') ||
+    record.events.reduce((error, event, i) => error || validateEvent(event, `record.events[${i}]`), '');
+  if (error) return { error: `This game record is not valid: ${error}.` };
+
+  const { events } = record;
+  if (events[0].type !== 'gameStarted' || events.slice(1).some(event => event.type === 'gameStarted')) {
+    return { error: 'This game record is not valid: it has to start with the start of the game.' };
+  }
+  if (events[events.length - 1].type !== 'gameOver' || events.slice(0, -1).some(event => event.type === 'gameOver')) {
+    return { error: 'This game record is not valid: it has to end with the end of the game.' };
+  }
+  //the replay looks up everyone an event names among the players
+  const nameError = checkEventNames(events);
+  if (nameError) return { error: `This game record is not valid: ${nameError}.` };
+  return { record };
+}
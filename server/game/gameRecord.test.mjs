@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Game from './game.mjs';
+import { Phases } from './phases.mjs';
+import { settingsView } from './views.mjs';
+import { buildGameRecord, readGameRecord } from './gameRecord.mjs';
+
+/**
+ * @param {number} numPlayers
+ * @returns {Game} a started game, with its first event logged as gameSocket does
+ */
+function startedGame(numPlayers = 5) {
+  const game = new Game(1234);
+  for (let i = 1; i <= numPlayers; i++) {
+    game.addPerson({ type: 'player', socketID: `socket${i}`, name: `Player ${i}`, isRoomHost: i === 1 });
+  }
+  game.startGame();
+  game.logEvent('gameStarted', {
+    players: game.players.map(({ name, role, team }) => ({ name, role, team })),
+    quests: Object.values(game.quests).map(({ questNum, teamSize, needsTwoFails, loyaltyCard }) =>
+      ({ questNum, teamSize, needsTwoFails, loyaltyCard })),
+    settings: settingsView(game),
+    ladyOfTheLake: null
+  });
+  return game;
+}
+
+/**
+ * Every team is rejected until the game is lost
+ * @param {Game} game
+ */
+function rejectEveryTeam(game) {
+  while (!game.gameOver()) {
+    const quest = game.getCurrentQuest();
+    const leader = game.players[game.leaderIndex].name;
+    const team = game.players.slice(0, quest.teamSize).map(player => player.name);
+    game.logEvent('leaderChosen', { leader, proposal: quest.voteTrack + 1 });
+    game.logEvent('teamProposed', { leader, proposal: quest.voteTrack + 1, team, excaliburHolder: null });
+    game.setPhase(Phases.TEAM_VOTE);
+    game.logEvent('teamVote', {
+      proposal: quest.voteTrack + 1,
+      accept: [],
+      reject: game.players.map(player => player.name),
+      approved: false,
+      hammer: false,
+      anonymous: false
+    });
+    quest.voteTrack++;
+    if (!game.gameOver()) game.assignNextLeader();
+  }
+  game.logEvent('gameOver', { winningTeam: game.winningTeam, reason: 'teamsRejected' });
+}
+
+test('a game lost to rejected teams can be read back from its record', () => {
+  const game = startedGame();
+  rejectEveryTeam(game);
+
+  const record = JSON.parse(JSON.stringify(buildGameRecord(game, '0123456789abcdef')));
+  const { record: read, error } = readGameRecord(record);
+  assert.equal(error, undefined);
+  assert.deepEqual(read, record);
+  assert.equal(record.events.filter(event => event.type === 'teamVote').length, 6);
+});
+
+test('a practice game can be read back from its record', () => {
+  const game = startedGame(Game.MIN_PRACTICE_PLAYERS);
+  rejectEveryTeam(game);
+
+  const { error } = readGameRecord(JSON.parse(JSON.stringify(buildGameRecord(game, '0123456789abcdef'))));
+  assert.equal(error, undefined);
+});
+
+test('a record naming someone who is not in the game is refused', () => {
+  const game = startedGame();
+  rejectEveryTeam(game);
+  const record = JSON.parse(JSON.stringify(buildGameRecord(game, '0123456789abcdef')));
+  const teamVote = record.events.find(event => event.type === 'teamVote');
+  teamVote.reject[0] = 'Somebody Else';
+
+  const { record: read, error } = readGameRecord(record);
+  assert.equal(read, undefined);
+  assert.match(error, /Somebody Else/);
+});
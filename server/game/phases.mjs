@@ -0,0 +1,159 @@
+/**
+ * The phases of a game, and which game actions can be taken in each of them.
+ * The server checks every action against these before changing the game, instead of trusting the client's buttons.
+ */
+export const Phases = {
+  LOBBY: 'lobby',
+  TEAM_BUILDING: 'teamBuilding',
+  TEAM_VOTE: 'teamVote', // includes handing out plot cards
+  QUEST: 'quest', // includes Excalibur and the Lady of the Lake after the quest
+  ASSASSINATION: 'assassination',
+  FINISHED: 'finished'
+};
+
+// phases each phase can move on to; a game can be reset to the lobby from any phase
+const PhaseTransitions = {
+  [Phases.LOBBY]: [Phases.TEAM_BUILDING],
+  [Phases.TEAM_BUILDING]: [Phases.TEAM_VOTE],
+  [Phases.TEAM_VOTE]: [Phases.TEAM_BUILDING, Phases.QUEST, Phases.FINISHED], //a rejected team, an accepted team, or 5 rejected teams
+  [Phases.QUEST]: [Phases.TEAM_BUILDING, Phases.ASSASSINATION, Phases.FINISHED],
+  [Phases.ASSASSINATION]: [Phases.FINISHED],
+  [Phases.FINISHED]: []
+};
+
+// how each phase is described in error messages
+const PhaseNames = {
+  [Phases.LOBBY]: 'the lobby',
+  [Phases.TEAM_BUILDING]: 'team building',
+  [Phases.TEAM_VOTE]: 'the team vote',
+  [Phases.QUEST]: 'the quest',
+  [Phases.ASSASSINATION]: 'the assassination',
+  [Phases.FINISHED]: 'a finished game'
+};
+
+/**
+ * Who can take an action, and how they are described in error messages
+ * @property {string} description
+ * @property {function} check - (game, player) => whether the player is allowed
+ */
+const Actors = {
+  player: {
+    description: 'players in the game',
+    check: () => true
+  },
+  host: {
+    description: 'the host',
+    check: (game, player) => player.isRoomHost
+  },
+  leader: {
+    description: 'the leader',
+    check: (game, player) => game.getCurrentQuest().leaderInfo.name === player.name
+  },
+  questMember: {
+    description: 'players on the quest',
+    check: (game, player) => player.onQuest
+  },
+  excaliburHolder: {
+    description: 'the holder of Excalibur',
+    check: (game, player) => player.hasExcalibur
+  },
+  ladyOfTheLakeHolder: {
+    description: 'the holder of the Lady of the Lake',
+    check: (game, player) => player.hasLadyOfTheLake
+  },
+  inspectedTrickster: {
+    description: 'the Trickster being inspected',
+    check: (game, player) => game.choosesInspectionResult(player)
+  },
+  assassin: {
+    description: 'the Assassin',
+    check: (game, player) => player.role === 'Assassin'
+  }
+};
+
+/**
+ * Each game action (named after its socket event) declares:
+ * @property {array} phases - Phases the action can be taken in
+ * @property {string} by - Who can take the action, one of Actors
+ * @property {string} step - gameState flag that has to be set, for actions that only happen at one step of a phase
+ * @property {string} description - What the action does, for error messages
+ */
+const GameActions = {
+  approveReconnect: { phases: Object.values(Phases), by: 'host', description: 'answer a reconnect request' },
+  createBot: { phases: [Phases.LOBBY], by: 'host', description: 'add a bot' },
+  updateMode: { phases: [Phases.LOBBY], by: 'host', description: 'change the game mode' },
+  updateSpecialRoles: { phases: [Phases.LOBBY], by: 'host', description: 'change the special roles' },
+  updateCustomRoles: { phases: [Phases.LOBBY], by: 'host', description: 'change the roles' },
+  updateCustomQuests: { phases: [Phases.LOBBY], by: 'host', description: 'change the quest table' },
+  updateHouseRules: { phases: [Phases.LOBBY], by: 'host', description: 'change the house rules' },
+  updateLancelotVariant: { phases: [Phases.LOBBY], by: 'host', description: 'change the Lancelot rules' },
+  updateExpansions: { phases: [Phases.LOBBY], by: 'host', description: 'change the expansions' },
+  startGame: { phases: [Phases.LOBBY], by: 'host', description: 'start the game' },
+  targetQuest: { phases: [Phases.TEAM_BUILDING], by: 'leader', description: 'choose which quest to attempt' },
+  addRemovePlayerFromQuest: { phases: [Phases.TEAM_BUILDING], by: 'leader', description: 'choose the quest team' },
+  leaderHasConfirmedTeam: { phases: [Phases.TEAM_BUILDING], by: 'leader', description: 'confirm the quest team' },
+  givePlotCard: {
+    phases: [Phases.TEAM_VOTE], by: 'leader', step: 'showPlotCardBtns', description: 'give a plot card'
+  },
+  overhearConversation: {
+    phases: [Phases.TEAM_VOTE], by: 'player', step: 'showOverheardConversationBtns', description: 'overhear a conversation'
+  },
+  playerAcceptsOrRejectsTeam: {
+    phases: [Phases.TEAM_VOTE], by: 'player', step: 'showAcceptOrRejectTeamBtns', description: 'vote on the team'
+  },
+  questVote: {
+    phases: [Phases.QUEST], by: 'questMember', step: 'showSucceedOrFailQuestBtns', description: 'play a quest card'
+  },
+  useExcalibur: {
+    phases: [Phases.QUEST], by: 'excaliburHolder', step: 'showExcaliburBtns', description: 'use Excalibur'
+  },
+  ladyOfTheLakeInspect: {
+    phases: [Phases.QUEST], by: 'ladyOfTheLakeHolder', step: 'showLadyOfTheLakeBtns', description: 'use the Lady of the Lake'
+  },
+  tricksterShowsTeam: {
+    phases: [Phases.QUEST], by: 'inspectedTrickster', step: 'showTricksterBtns', description: 'choose the team shown to the Lady of the Lake'
+  },
+  assassinatePlayer: { phases: [Phases.ASSASSINATION], by: 'assassin', description: 'assassinate a player' },
+  //the host can also abandon a game that can't go on (ex: a player left for good)
+  resetGame: {
+    phases: Object.values(Phases).filter(phase => phase !== Phases.LOBBY), by: 'host', description: 'send everyone back to the lobby'
+  }
+};
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean} whether a game in the first phase can move on to the second
+ */
+export function canTransition(from, to) {
+  return from === to || to === Phases.LOBBY || PhaseTransitions[from].includes(to);
+}
+
+/**
+ * @param {string} event - Name of a socket event
+ * @returns {boolean} whether the event is one of the game actions
+ */
+export function isGameAction(event) {
+  return GameActions.hasOwnProperty(event);
+}
+
+/**
+ * Make sure a game action can be taken in the game's current phase, by this player
+ * @param {Game} game
+ * @param {string} action - Name of the socket event (ex: 'questVote')
+ * @param {Player} player - The acting player, or undefined for a spectator
+ * @returns {string} error message, or an empty string if the action is allowed
+ */
+export function checkAction(game, action, player) {
+  const { phases, by, step, description } = GameActions[action];
+  if (!phases.includes(game.phase)) {
+    return `Error: You can't ${description} during ${PhaseNames[game.phase]}.`;
+  }
+  if (step && !game.gameState[step]) {
+    return `Error: You can't ${description} right now.`;
+  }
+  if (!player || !Actors[by].check(game, player)) {
+    return `Error: Only ${Actors[by].description} can ${description}.`;
+  }
+  return '';
+}
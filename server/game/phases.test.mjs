@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Game from './game.mjs';
+import { Phases, canTransition, checkAction, isGameAction } from './phases.mjs';
+
+/**
+ * @param {number} numPlayers
+ * @returns {Game} a room with Player 1 as its host
+ */
+function lobby(numPlayers = 5) {
+  const game = new Game(1234);
+  for (let i = 1; i <= numPlayers; i++) {
+    game.addPerson({ type: 'player', socketID: `socket${i}`, name: `Player ${i}`, isRoomHost: i === 1 });
+  }
+  return game;
+}
+
+test('a game only moves on to the phases that can follow its phase', () => {
+  assert.equal(canTransition(Phases.LOBBY, Phases.TEAM_BUILDING), true);
+  assert.equal(canTransition(Phases.LOBBY, Phases.QUEST), false);
+  assert.equal(canTransition(Phases.TEAM_BUILDING, Phases.TEAM_VOTE), true);
+  assert.equal(canTransition(Phases.TEAM_BUILDING, Phases.QUEST), false);
+  assert.equal(canTransition(Phases.TEAM_VOTE, Phases.TEAM_BUILDING), true);
+  assert.equal(canTransition(Phases.TEAM_VOTE, Phases.FINISHED), true);
+  assert.equal(canTransition(Phases.QUEST, Phases.ASSASSINATION), true);
+  assert.equal(canTransition(Phases.ASSASSINATION, Phases.TEAM_BUILDING), false);
+  assert.equal(canTransition(Phases.FINISHED, Phases.TEAM_BUILDING), false);
+  assert.equal(canTransition(Phases.QUEST, Phases.QUEST), true);
+});
+
+test('a game can be sent back to the lobby from any phase', () => {
+  for (const phase of Object.values(Phases)) {
+    assert.equal(canTransition(phase, Phases.LOBBY), true, phase);
+  }
+});
+
+test('setup actions are only for the host, in the lobby', () => {
+  const game = lobby();
+  const [host, player] = game.players;
+  assert.equal(checkAction(game, 'startGame', host), '');
+  assert.equal(checkAction(game, 'startGame', player), 'Error: Only the host can start the game.');
+  assert.equal(checkAction(game, 'createBot', undefined), 'Error: Only the host can add a bot.');
+
+  game.startGame();
+  assert.equal(checkAction(game, 'updateMode', host), "Error: You can't change the game mode during team building.");
+});
+
+test('game actions are checked against the phase, the step and the player', () => {
+  const game = lobby();
+  assert.equal(checkAction(game, 'questVote', game.players[0]), "Error: You can't play a quest card during the lobby.");
+
+  game.startGame();
+  const leader = game.players.find(player => player.name === game.getCurrentQuest().leaderInfo.name);
+  const other = game.players.find(player => player !== leader);
+  assert.equal(checkAction(game, 'addRemovePlayerFromQuest', leader), '');
+  assert.equal(checkAction(game, 'addRemovePlayerFromQuest', other), 'Error: Only the leader can choose the quest team.');
+
+  game.setPhase(Phases.TEAM_VOTE);
+  assert.equal(checkAction(game, 'playerAcceptsOrRejectsTeam', other), "Error: You can't vote on the team right now.");
+  game.gameState.showAcceptOrRejectTeamBtns = true;
+  assert.equal(checkAction(game, 'playerAcceptsOrRejectsTeam', other), '');
+  assert.equal(checkAction(game, 'playerAcceptsOrRejectsTeam', undefined), 'Error: Only players in the game can vote on the team.');
+});
+
+test('the host can send everyone back to the lobby from any phase but the lobby', () => {
+  const game = lobby();
+  const [host, player] = game.players;
+  assert.equal(checkAction(game, 'resetGame', host), "Error: You can't send everyone back to the lobby during the lobby.");
+
+  game.startGame();
+  assert.equal(checkAction(game, 'resetGame', host), '');
+  assert.equal(checkAction(game, 'resetGame', player), 'Error: Only the host can send everyone back to the lobby.');
+  game.setPhase(Phases.TEAM_VOTE);
+  game.setPhase(Phases.FINISHED);
+  assert.equal(checkAction(game, 'resetGame', host), '');
+});
+
+test('only game actions are checked against the phases', () => {
+  assert.equal(isGameAction('questVote'), true);
+  assert.equal(isGameAction('resetGame'), true);
+  assert.equal(isGameAction('joinRoom'), false);
+  assert.equal(isGameAction('updateChat'), false);
+});
@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+
 export default class Player {
   /**
    * @param {string} socketID
@@ -8,14 +10,22 @@ export default class Player {
    * @property {boolean} leader - Indicates if the player is the leader of the quest
    * @property {boolean} onQuest - Indicates if the player is on the quest 
    * @property {boolean} voted - Indicates if the player has voted on team/quest
-   * @property {boolean} disconnected - Indicates if the player is disconnected from a started game
+   * @property {string} sessionToken - Secret only this player's browser knows, needed to take their seat back after disconnecting
+   * @property {boolean} disconnected - Indicates if the player is disconnected (their seat is kept for them to reconnect)
    * @property {boolean} assassinated - Indicates if the player was assassinated
-   * @property {string[]} knownIdentities - A list of the player names whose team or identity is known to this player
+   * @property {boolean} revealed - Indicates if the player's identity has been revealed to everyone (ex: Revealer)
+   * @property {boolean} hasLadyOfTheLake - Indicates if the player currently holds the Lady of the Lake
+   * @property {boolean} heldLadyOfTheLake - Indicates if the player has held the Lady of the Lake (and cannot be inspected)
+   * @property {boolean} hasExcalibur - Indicates if the player was given Excalibur for the current quest
+   * @property {string} inspectedBy - Name of the player who inspected this player with the Lady of the Lake
+   * @property {Object} knownIdentities - What this player knows about other players, by name:
+   * 'team' (their current team), 'identity' (their current role & team), or the { role, team } they appear as
    */
   constructor(socketID, name, isRoomHost) {
     this.socketID = socketID;
     this.name = name;
     this.isRoomHost = isRoomHost;
+    this.sessionToken = crypto.randomBytes(16).toString('hex');
     this.team = '';
     this.role = '';
     this.leader = false;
@@ -23,6 +33,12 @@ export default class Player {
     this.voted = false;
     this.disconnected = false;
     this.assassinated = false;
+    this.revealed = false;
+    this.hasLadyOfTheLake = false;
+    this.heldLadyOfTheLake = false;
+    this.hasExcalibur = false;
+    this.inspectedBy = '';
+    this.knownIdentities = {};
   }
 
   /**
@@ -33,6 +49,32 @@ export default class Player {
     this.disconnected = false;
   }
 
+  /**
+   * @param {string} sessionToken - The token sent by the client, or null if it doesn't have one
+   * @returns {boolean}
+   */
+  hasSessionToken(sessionToken) {
+    if (typeof sessionToken !== 'string' || sessionToken.length !== this.sessionToken.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(sessionToken), Buffer.from(this.sessionToken));
+  }
+
+  /**
+   * Replace the token, so a lost or leaked one can't be used anymore
+   * @returns {string} the new token
+   */
+  renewSessionToken() {
+    this.sessionToken = crypto.randomBytes(16).toString('hex');
+    return this.sessionToken;
+  }
+
+  /**
+   * @param {Object} data - A player saved with JSON.stringify
+   * @returns {Player}
+   */
+  static fromJSON(data) {
+    return Object.assign(Object.create(Player.prototype), data);
+  }
+
   reset() {
     this.team = '';
     this.role = '';
@@ -41,5 +83,11 @@ export default class Player {
     this.voted = false;
     this.disconnected = false;
     this.assassinated = false;
+    this.revealed = false;
+    this.hasLadyOfTheLake = false;
+    this.heldLadyOfTheLake = false;
+    this.hasExcalibur = false;
+    this.inspectedBy = '';
+    this.knownIdentities = {};
   }
 }
@@ -1,15 +1,30 @@
 /**
- * how many players will go on this quest, in the format of [questNum][total # players - 5]
- * ex: PLAYERS_ON_QUEST[0][0] = the first quest, with a 5 player game, will have 2 people on the Quest
+ * how many players will go on this quest, in the format of [questNum][total # players - 3]
+ * ex: PLAYERS_ON_QUEST[0][2] = the first quest, with a 5 player game, will have 2 people on the Quest
+ * 3 and 4 player columns are only used for practice games with bots
  * @const {[][]}
  */
 const PLAYERS_ON_QUEST = [
-  //5 6 7 8 9 10 players
-  [2, 2, 2, 3, 3, 3],
-  [3, 3, 3, 4, 4, 4],
-  [2, 4, 3, 4, 4, 4],
-  [3, 3, 4, 5, 5, 5],
-  [3, 4, 4, 5, 5, 5]
+  //3 4 5 6 7 8 9 10 11 12 players
+  [2, 2, 2, 2, 2, 3, 3, 3, 4, 4],
+  [2, 2, 3, 3, 3, 4, 4, 4, 5, 5],
+  [2, 2, 2, 4, 3, 4, 4, 4, 4, 5],
+  [2, 3, 3, 3, 4, 5, 5, 5, 5, 6],
+  [2, 3, 3, 4, 4, 5, 5, 5, 5, 6]
+];
+
+/**
+ * whether this quest needs 2 failing votes to fail, in the format of [questNum][total # players - 3]
+ * 11 and 12 player games follow the common community setup, where quests 4 and 5 both need 2 fails
+ * @const {[][]}
+ */
+const NEEDS_TWO_FAILS = [
+  //3 4 5 6 7 8 9 10 11 12 players
+  [false, false, false, false, false, false, false, false, false, false],
+  [false, false, false, false, false, false, false, false, false, false],
+  [false, false, false, false, false, false, false, false, false, false],
+  [false, false, false, false, true, true, true, true, true, true],
+  [false, false, false, false, false, false, false, false, true, true]
 ];
 
 export default class Quest {
@@ -17,7 +32,8 @@ export default class Quest {
    * @param {number} questNum - Which quest players are on from 1 to 5
    * @param {number} totalNumPlayers - Total number of players in the room
    * @param {boolean} needsTwoFails - True if the quest requires 2 failing votes to fail, false if it only needs 1 (false by default)
-   * @property {number} teamSize - Size of the quest’s team, based on above table
+   * @param {number} teamSize - Size of the quest’s team, based on above table unless the host set a custom quest table
+   * @property {number} teamSize - Size of the quest’s team
    * @property {set} playersOnQuest - Names of the players chosen to go on the quest
    * @property {number} playersNeededLeft - Remaining quest team size
    * @property {number} voteTrack - How many failed team votes for the quest, between 0 and 5
@@ -28,13 +44,17 @@ export default class Quest {
    * @property {boolean} leaderHasConfirmedTeam - Indicates if the quest leader has confirmed the team
    * @property {boolean} currentQuest - Indicates if the quest is the current quest
    * @property {number} questVotesNeededLeft - Remaining number of players on the quest who have yet to fail/succeed it
+   * @property {Map} questCards - Name of each player on the quest to the card they played, never sent to clients
    * @property {Object} votes - Number of votes indicating to fail or succeed the quest
+   * @property {string} excaliburHolder - Name of the player the leader gave Excalibur to
+   * @property {string} excaliburUsedOn - Name of the player whose quest card was flipped with Excalibur
+   * @property {string} loyaltyCard - Lancelot loyalty card revealed for the quest ('No Change' or 'Switch')
    * @property {boolean} success - Indicates if the quest succeeded
    */
-  constructor(questNum, totalNumPlayers, needsTwoFails=false) {
+  constructor(questNum, totalNumPlayers, needsTwoFails=false, teamSize=Quest.PLAYERS_ON_QUEST[questNum - 1][totalNumPlayers - 3]) {
     this.questNum = questNum;
     this.totalNumPlayers = totalNumPlayers;
-    this.teamSize = Quest.PLAYERS_ON_QUEST[questNum - 1][totalNumPlayers - 5];
+    this.teamSize = teamSize;
     this.playersOnQuest = new Set([]);
     this.playersNeededLeft = this.teamSize;
     this.voteTrack = 0;
@@ -52,11 +72,15 @@ export default class Quest {
     this.currentQuest = false;
     this.needsTwoFails = needsTwoFails;
     this.questVotesNeededLeft = this.teamSize;
+    this.questCards = new Map();
     this.votes = {
       'questNum': this.questNum,
       'succeed': 0,
       'fail': 0
     };
+    this.excaliburHolder = '';
+    this.excaliburUsedOn = '';
+    this.loyaltyCard = '';
     this.success = null;
   }
 
@@ -64,6 +88,29 @@ export default class Quest {
     return PLAYERS_ON_QUEST;
   }
 
+  static get NEEDS_TWO_FAILS() {
+    return NEEDS_TWO_FAILS;
+  }
+
+  /**
+   * The players on the quest & quest cards are saved as arrays, since JSON has no Set or Map
+   * @returns {Object}
+   */
+  toJSON() {
+    return { ...this, playersOnQuest: Array.from(this.playersOnQuest), questCards: Array.from(this.questCards) };
+  }
+
+  /**
+   * @param {Object} data - A quest saved with JSON.stringify
+   * @returns {Quest}
+   */
+  static fromJSON(data) {
+    return Object.assign(Object.create(Quest.prototype), data, {
+      playersOnQuest: new Set(data.playersOnQuest),
+      questCards: new Map(data.questCards)
+    });
+  }
+
   /**
    * @param {string} name 
    */
@@ -104,13 +151,30 @@ export default class Quest {
   }
 
   /**
+   * @param {string} name 
    * @param {string} decision 
    */
-  addQuestVote(decision) {
+  addQuestVote(name, decision) {
+    this.questCards.set(name, decision);
     this.votes[decision]++;
     this.questVotesNeededLeft--;
   }
 
+  /**
+   * Flip the quest card played by name
+   * @param {string} name 
+   * @returns {string} the card originally played
+   */
+  useExcalibur(name) {
+    const originalCard = this.questCards.get(name);
+    const flippedCard = originalCard === 'succeed' ? 'fail' : 'succeed';
+    this.questCards.set(name, flippedCard);
+    this.votes[originalCard]--;
+    this.votes[flippedCard]++;
+    this.excaliburUsedOn = name;
+    return originalCard;
+  }
+
   /**
    * @returns {Object}
    */
@@ -130,6 +194,8 @@ export default class Quest {
     this.questVotesNeededLeft = this.teamSize;
     this.teamVotesNeededLeft = this.totalNumPlayers;
     this.playersOnQuest.clear();
+    this.leaderHasConfirmedTeam = false;
+    this.excaliburHolder = '';
     this.acceptOrRejectTeam = {
       'accept': [],
       'reject': []
@@ -0,0 +1,316 @@
+/**
+ * Role definitions for every game mode. The engine, validation, and the client are all driven from this registry,
+ * so a new role only needs an entry here (and any new ability it has).
+ *
+ * Each role declares:
+ * @property {string} team - 'Good' or 'Evil', the team the role starts on
+ * @property {array} modes - Game modes the role can be used in ('Avalon' or 'Resistance')
+ * @property {string} description - What the role does, shown to players in the rules
+ * @property {boolean} filler - The role fills the rest of its team's seats (ex: Loyal Servant of Arthur)
+ * @property {boolean} repeatable - More than one can be in a game
+ * @property {string} requires - Another role that has to be in the game
+ * @property {Object} specialRole - Option the host picks to add the role: { name, summary }, roles added together share one
+ * @property {function} sees - (player, view) => what the role knows about another player, one of Sight or { role, team }
+ * @property {function} questCards - (game) => quest cards the role can play, if it is restricted
+ * @property {boolean} switchesTeams - The role's team can switch during the game (Lancelot)
+ * @property {boolean} hiddenFromMerlin - Merlin doesn't know the role is evil
+ * @property {boolean} hiddenFromEvil - Other evil roles don't know the role is evil
+ * @property {boolean} appearsAsMerlin - Percival sees the role as Merlin
+ * @property {boolean} revealedOnSecondFail - Everyone learns the role's identity after the second failed quest
+ * @property {boolean} choosesInspectionResult - The role chooses which team is shown when inspected
+ */
+
+// what a role knows about another player
+export const Sight = {
+  HIDDEN: 'hidden', // nothing
+  TEAM: 'team', // the player's team, but not their role
+  IDENTITY: 'identity' // the player's team and role
+};
+
+const LancelotOption = { name: 'Lancelot', summary: 'Good and Evil Lancelot, who may switch teams' };
+const LoversOption = { name: 'Tristan & Isolde', summary: 'Good, know each other' };
+
+/**
+ * @param {Object} player
+ * @returns {Object} the player's role definition
+ */
+function roleOf(player) {
+  return Roles[player.role] || {};
+}
+
+/**
+ * Good roles, Oberon (& Evil Lancelot in Lancelot variant 2) are hidden from evil players
+ * Evil players know the current team of Evil Lancelot in variant 1, even after a switch
+ * @param {Object} player
+ * @param {Object} view
+ * @returns {string}
+ */
+function seesEvilTeam(player, { lancelotVariant }) {
+  const role = roleOf(player);
+  if (role.team !== 'Evil' || role.hiddenFromEvil || (role.switchesTeams && lancelotVariant === 2)) {
+    return Sight.HIDDEN;
+  }
+  return Sight.TEAM;
+}
+
+/**
+ * In Lancelot variant 2 the Lancelots only know each other
+ * @param {function} sees - What the Lancelot knows in variant 1
+ * @returns {function}
+ */
+function seesLancelots(sees) {
+  return (player, view) => {
+    if (view.lancelotVariant !== 2) return sees(player, view);
+    return roleOf(player).switchesTeams ? Sight.IDENTITY : Sight.HIDDEN;
+  };
+}
+
+export const Roles = {
+  'Loyal Servant of Arthur': {
+    team: 'Good',
+    modes: ['Avalon'],
+    filler: true,
+    repeatable: true,
+    description: `You have no special abilities.<br/>
+                Your primary goal is to figure out who is bad based on this order:
+                <ol><li>Mission success/failure</li>
+                <li>Voting</li>
+                <li>Deception indicators</li>`
+  },
+  'Minion of Mordred': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    filler: true,
+    repeatable: true,
+    sees: seesEvilTeam,
+    description: `You have no special abilities.
+                <ol><li>Your primary goal is to lose missions.</li><li>Your secondary goal is to try
+                to discover who Merlin is so that you can help the Assassin eliminate them at the end.</li></ol>`
+  },
+  'Merlin': {
+    team: 'Good',
+    modes: ['Avalon'],
+    requires: 'Assassin',
+    sees: player => roleOf(player).team === 'Good' || roleOf(player).hiddenFromMerlin ? Sight.HIDDEN : Sight.TEAM,
+    description: `Your primary goal is to steer the knights correctly without being obvious you know who all the
+                minions are. This means you must make deductions based on actions taken by players in the game.
+                <br/><br/>How to give yourself away:
+                <ol><li>Knowing too much about who is evil.</li>
+                <li>Calling an evil player evil when there is not much/any reason to call them evil.</li>
+                <li>Being more helpful to the good side than usual.</li>
+                <li>Never being confused or surprised.</li></ol>`
+  },
+  'Assassin': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    requires: 'Merlin',
+    sees: seesEvilTeam,
+    description: `At the end of the game, if 3 quests succeed, you can assassinate a good player you believe to be Merlin, winning the game for evil.
+                <ol><li>Your primary goal is to figure out who Merlin is. (who is voting correctly all the time, etc)</li></ol>`
+  },
+  'Percival': {
+    team: 'Good',
+    modes: ['Avalon'],
+    specialRole: { name: 'Percival', summary: 'Good, knows Merlin' },
+    //Merlin & Morgana both appear to be Merlin
+    sees: player => player.role === 'Merlin' || roleOf(player).appearsAsMerlin ?
+      { role: 'Merlin', team: 'Good' } : Sight.HIDDEN,
+    description: `You know which two players are either Morgana or Merlin, but not specifically.
+                <br/>Adding Percival balances the game in favor of the good team.
+                <ol><li>Your primary goal is to pretend to be Merlin.</li><li>Your secondary goal is to
+                determine who Morgana is so you can vote down quests in which they try to participate.</li></ol>`
+  },
+  'Mordred': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    specialRole: { name: 'Mordred', summary: 'Evil, invisible to Merlin' },
+    hiddenFromMerlin: true,
+    sees: seesEvilTeam,
+    description: `You appear as good to Merlin.<ol><li>Your primary goal is to pretend to be good and fail quests.</li></ol>`
+  },
+  'Oberon': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    specialRole: { name: 'Oberon', summary: 'Evil, invisible to other evil characters' },
+    hiddenFromEvil: true,
+    description: `You do not know who the evil players are and vice versa. Merlin knows you are evil.<br/>
+                Recommended for veterans; Adding Oberon balances the game in favor of the good team.`
+  },
+  'Morgana': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    requires: 'Percival',
+    specialRole: { name: 'Morgana', summary: 'Evil, appears as Merlin to Percival' },
+    appearsAsMerlin: true,
+    sees: seesEvilTeam,
+    description: `You appear as Merlin to Percival, Percival does not know which is which.<ol><li>
+                Your primary goal is to pretend to be Merlin/good in order to be put on quests which you can then fail.</li></ol>`
+  },
+  'Good Lancelot': {
+    team: 'Good',
+    modes: ['Avalon'],
+    requires: 'Evil Lancelot',
+    specialRole: LancelotOption,
+    switchesTeams: true,
+    sees: seesLancelots(() => Sight.HIDDEN),
+    description: `The Lancelots start on opposite teams, but may switch teams during the game.
+                At the start of quests 3, 4, and 5 a loyalty card is revealed; if it is a Switch card, the two Lancelots switch teams.
+                Each Lancelot wins with the team they are on at the end of the game.
+                <ul><li>Variant 1: Loyalty cards are drawn from 3 No Change and 2 Switch cards as each quest starts.
+                Evil Lancelot knows the other evil players, and they know him.</li>
+                <li>Variant 2: Loyalty cards are drawn from 5 No Change and 2 Switch cards, and all three are shown at the start of the game.
+                The Lancelots know each other, but Evil Lancelot does not know the other evil players.</li></ul>`
+  },
+  'Evil Lancelot': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    requires: 'Good Lancelot',
+    specialRole: LancelotOption,
+    switchesTeams: true,
+    sees: seesLancelots(seesEvilTeam),
+    description: `You start on the evil team, but may switch teams with Good Lancelot during the game
+                (see Good Lancelot for the loyalty card rules).`
+  },
+  'Cleric': {
+    team: 'Good',
+    modes: ['Avalon'],
+    specialRole: { name: 'Cleric', summary: "Good, knows the first leader's team" },
+    //the first leader is always the first player
+    sees: (player, { index }) => index === 0 ? Sight.TEAM : Sight.HIDDEN,
+    description: `You know the team of the first leader, but not their role.`
+  },
+  'Tristan': {
+    team: 'Good',
+    modes: ['Avalon'],
+    requires: 'Isolde',
+    specialRole: LoversOption,
+    sees: player => player.role === 'Isolde' ? Sight.IDENTITY : Sight.HIDDEN,
+    description: `Tristan and Isolde are always added together, and know each other.
+                <ol><li>Your primary goal is to use your trusted partner to find the evil players.</li></ol>`
+  },
+  'Isolde': {
+    team: 'Good',
+    modes: ['Avalon'],
+    requires: 'Tristan',
+    specialRole: LoversOption,
+    sees: player => player.role === 'Tristan' ? Sight.IDENTITY : Sight.HIDDEN,
+    description: `Tristan and Isolde are always added together, and know each other.
+                <ol><li>Your primary goal is to use your trusted partner to find the evil players.</li></ol>`
+  },
+  'Lunatic': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    specialRole: { name: 'Lunatic', summary: 'Evil, must fail every quest' },
+    sees: seesEvilTeam,
+    questCards: () => ['fail'],
+    description: `You must play a Fail card on every quest you go on.`
+  },
+  'Brute': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    specialRole: { name: 'Brute', summary: 'Evil, can only fail the first 3 quests' },
+    sees: seesEvilTeam,
+    questCards: game => game.currentQuestNum > 3 ? ['succeed'] : ['succeed', 'fail'],
+    description: `You may only play a Fail card on the first three quests. On quests 4 and 5, you must succeed.`
+  },
+  'Revealer': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    specialRole: { name: 'Revealer', summary: 'Evil, revealed to everyone after the second failed quest' },
+    revealedOnSecondFail: true,
+    sees: seesEvilTeam,
+    description: `After the second quest fails, your identity is revealed to everyone.`
+  },
+  'Trickster': {
+    team: 'Evil',
+    modes: ['Avalon'],
+    specialRole: { name: 'Trickster', summary: 'Evil, may lie when inspected' },
+    choosesInspectionResult: true,
+    sees: seesEvilTeam,
+    description: `When you are inspected with the Lady of the Lake, you may choose which team is shown.`
+  },
+  'Resistance': {
+    team: 'Good',
+    modes: ['Resistance'],
+    filler: true,
+    repeatable: true,
+    description: `You have no special abilities and do not know anyone's team.`
+  },
+  'Spy': {
+    team: 'Evil',
+    modes: ['Resistance'],
+    filler: true,
+    repeatable: true,
+    sees: seesEvilTeam,
+    description: `Spies know each other, and try to fail three quests without being discovered.`
+  }
+};
+
+/**
+ * @param {string} team - 'Good' or 'Evil'
+ * @param {string} mode
+ * @returns {string} the role that fills the rest of the team's seats in the game mode
+ */
+export function getFillerRole(team, mode) {
+  return Object.keys(Roles).find(role => Roles[role].filler && Roles[role].team === team && Roles[role].modes.includes(mode));
+}
+
+/**
+ * @param {string} specialRole - Name of the special role option (ex: 'Lancelot')
+ * @returns {array} the roles the option adds to the game
+ */
+export function getSpecialRoleGroup(specialRole) {
+  return Object.keys(Roles).filter(role => Roles[role].specialRole && Roles[role].specialRole.name === specialRole);
+}
+
+/**
+ * @returns {array} names of the special role options the host can pick (ex: 'Lancelot')
+ */
+export function getSpecialRoleNames() {
+  return [...new Set(Object.values(Roles).filter(role => role.specialRole).map(role => role.specialRole.name))];
+}
+
+/**
+ * What each player knows about the others at the start of the game, from their role's sees function
+ * A player's own identity is always known, so it isn't recorded
+ * @param {array} players - Players with their roles & teams assigned, in seating order
+ * @param {number} lancelotVariant - Which Lancelot rule variant the game uses (1 or 2)
+ * @returns {Object} knownIdentities of each player, by name: { [viewer]: { [player]: Sight.TEAM, Sight.IDENTITY or { role, team } } }
+ */
+export function getKnowledgeMatrix(players, lancelotVariant = 1) {
+  const matrix = {};
+  for (const viewer of players) {
+    const sees = roleOf(viewer).sees || (() => Sight.HIDDEN);
+    matrix[viewer.name] = {};
+    players.forEach((player, index) => {
+      if (player === viewer) return;
+      const sight = sees(player, { index, lancelotVariant });
+      if (sight !== Sight.HIDDEN) matrix[viewer.name][player.name] = sight;
+    });
+  }
+  return matrix;
+}
+
+/**
+ * Everything the client needs to know about the roles, without the functions
+ * @returns {Object}
+ */
+export function describeRoles() {
+  const roles = {};
+  const specialRoles = [];
+  for (const [name, role] of Object.entries(Roles)) {
+    roles[name] = {
+      team: role.team,
+      modes: role.modes,
+      filler: Boolean(role.filler),
+      repeatable: Boolean(role.repeatable),
+      requires: role.requires || null,
+      specialRole: role.specialRole ? role.specialRole.name : null,
+      description: role.description
+    };
+    if (role.specialRole && !specialRoles.some(option => option.name === role.specialRole.name)) {
+      specialRoles.push({ ...role.specialRole, roles: getSpecialRoleGroup(role.specialRole.name) });
+    }
+  }
+  return { roles, specialRoles };
+}
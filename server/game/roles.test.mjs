@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Roles, Sight, getKnowledgeMatrix } from './roles.mjs';
+
+const { TEAM, IDENTITY } = Sight;
+
+/**
+ * @param {array} roles - One role per player, in seating order. Each player is named after their role
+ * @param {number} lancelotVariant
+ * @returns {Object} what each player knows at the start of the game, by name
+ */
+function knowledgeOf(roles, lancelotVariant = 1) {
+  const players = roles.map(role => ({ name: role, role, team: Roles[role].team }));
+  return getKnowledgeMatrix(players, lancelotVariant);
+}
+
+test('Merlin sees evil except Mordred, and Oberon and the other evil players do not see each other', () => {
+  const knowledge = knowledgeOf(['Merlin', 'Assassin', 'Mordred', 'Oberon', 'Loyal Servant of Arthur']);
+  assert.deepEqual(knowledge, {
+    'Merlin': { 'Assassin': TEAM, 'Oberon': TEAM },
+    'Assassin': { 'Mordred': TEAM },
+    'Mordred': { 'Assassin': TEAM },
+    'Oberon': {},
+    'Loyal Servant of Arthur': {}
+  });
+});
+
+test('Percival sees Merlin and Morgana, both as Merlin', () => {
+  const knowledge = knowledgeOf(['Merlin', 'Percival', 'Morgana', 'Assassin', 'Loyal Servant of Arthur']);
+  const asMerlin = { role: 'Merlin', team: 'Good' };
+  assert.deepEqual(knowledge['Percival'], { 'Merlin': asMerlin, 'Morgana': asMerlin });
+  assert.deepEqual(knowledge['Merlin'], { 'Morgana': TEAM, 'Assassin': TEAM });
+  assert.deepEqual(knowledge['Morgana'], { 'Assassin': TEAM });
+});
+
+test('in Lancelot variant 1, Evil Lancelot and the other evil players know each other', () => {
+  const knowledge = knowledgeOf(['Merlin', 'Assassin', 'Good Lancelot', 'Evil Lancelot', 'Minion of Mordred']);
+  assert.deepEqual(knowledge['Evil Lancelot'], { 'Assassin': TEAM, 'Minion of Mordred': TEAM });
+  assert.deepEqual(knowledge['Assassin'], { 'Evil Lancelot': TEAM, 'Minion of Mordred': TEAM });
+  assert.deepEqual(knowledge['Good Lancelot'], {});
+  assert.deepEqual(knowledge['Merlin'], { 'Assassin': TEAM, 'Evil Lancelot': TEAM, 'Minion of Mordred': TEAM });
+});
+
+test('in Lancelot variant 2, the Lancelots only know each other', () => {
+  const knowledge = knowledgeOf(['Merlin', 'Assassin', 'Good Lancelot', 'Evil Lancelot', 'Minion of Mordred'], 2);
+  assert.deepEqual(knowledge['Evil Lancelot'], { 'Good Lancelot': IDENTITY });
+  assert.deepEqual(knowledge['Good Lancelot'], { 'Evil Lancelot': IDENTITY });
+  assert.deepEqual(knowledge['Assassin'], { 'Minion of Mordred': TEAM });
+  //Merlin still sees Evil Lancelot
+  assert.deepEqual(knowledge['Merlin'], { 'Assassin': TEAM, 'Evil Lancelot': TEAM, 'Minion of Mordred': TEAM });
+});
+
+test('Tristan and Isolde know each other', () => {
+  const knowledge = knowledgeOf(['Merlin', 'Tristan', 'Isolde', 'Assassin', 'Minion of Mordred']);
+  assert.deepEqual(knowledge['Tristan'], { 'Isolde': IDENTITY });
+  assert.deepEqual(knowledge['Isolde'], { 'Tristan': IDENTITY });
+  assert.deepEqual(knowledge['Merlin'], { 'Assassin': TEAM, 'Minion of Mordred': TEAM });
+});
+
+test("the Cleric knows the first leader's team", () => {
+  assert.deepEqual(knowledgeOf(['Assassin', 'Merlin', 'Cleric', 'Loyal Servant of Arthur', 'Minion of Mordred'])['Cleric'],
+    { 'Assassin': TEAM });
+  assert.deepEqual(knowledgeOf(['Merlin', 'Cleric', 'Assassin', 'Loyal Servant of Arthur', 'Minion of Mordred'])['Cleric'],
+    { 'Merlin': TEAM });
+  //the first leader is the Cleric themselves
+  assert.deepEqual(knowledgeOf(['Cleric', 'Merlin', 'Assassin', 'Loyal Servant of Arthur', 'Minion of Mordred'])['Cleric'], {});
+});
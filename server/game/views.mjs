@@ -0,0 +1,307 @@
+/**
+ * What each audience is sent about the game. Every view is built from a whitelist of fields,
+ * so socketIDs, knownIdentities, hidden roles & unrevealed votes never go out over the wire.
+ */
+import { Sight, getKnowledgeMatrix } from './roles.mjs';
+import { checkAction } from './phases.mjs';
+
+// player fields everyone in the room can see; role & team depend on the audience
+const PublicPlayerFields = [
+  'name', 'isRoomHost', 'leader', 'onQuest', 'voted', 'disconnected', 'assassinated', 'revealed',
+  'hasLadyOfTheLake', 'heldLadyOfTheLake', 'hasExcalibur', 'inspectedBy'
+];
+
+// what the Assassin sees instead of the game status while choosing who to assassinate
+const AssassinStatusMsg = 'You are the assassin. <br/> Assassinate the player you think is Merlin to win the game for evil.';
+
+// quest fields everyone in the room can see; the votes are only added once they are revealed
+const PublicQuestFields = [
+  'questNum', 'teamSize', 'needsTwoFails', 'playersNeededLeft', 'voteTrack', 'teamVotesNeededLeft', 'teamAccepted',
+  'leaderHasConfirmedTeam', 'currentQuest', 'questVotesNeededLeft', 'excaliburHolder', 'excaliburUsedOn',
+  'loyaltyCard', 'success'
+];
+
+/**
+ * @param {Object} source
+ * @param {array} fields
+ * @returns {Object} copy of only the given fields
+ */
+function pick(source, fields) {
+  const copy = {};
+  fields.forEach(field => copy[field] = source[field]);
+  return copy;
+}
+
+/**
+ * @param {Player} player
+ * @param {string} knowledge - What the viewer knows about the player (see Player's knownIdentities)
+ * @returns {Object}
+ */
+function serializePlayer(player, knowledge) {
+  const view = pick(player, PublicPlayerFields);
+  if (knowledge === Sight.IDENTITY) {
+    return { ...view, role: player.role, team: player.team };
+  }
+  if (knowledge === Sight.TEAM) {
+    return { ...view, role: '???', team: player.team };
+  }
+  if (knowledge === Sight.HIDDEN) {
+    return { ...view, role: '???', team: '???' };
+  }
+  //the player appears as another role or team (ex: Morgana appears as Merlin to Percival)
+  return { ...view, role: knowledge.role, team: knowledge.team };
+}
+
+/**
+ * Players before the game starts, when nobody has a role yet
+ * @param {array} players
+ * @returns {array}
+ */
+export function lobbyView(players) {
+  return players.map(player => ({ ...pick(player, PublicPlayerFields), role: '', team: '' }));
+}
+
+/**
+ * Players as seen by a player in the game: their own identity, and only what they know about everyone else
+ * @param {Game} game
+ * @param {Player} viewer
+ * @returns {array}
+ */
+export function playerView(game, viewer) {
+  const knownIdentities = game.getKnownIdentities(viewer);
+  return game.players.map(player => serializePlayer(player,
+    player === viewer ? Sight.IDENTITY : knownIdentities[player.name] || Sight.HIDDEN));
+}
+
+/**
+ * Players as seen by a spectator, who only knows publicly revealed identities
+ * @param {Game} game
+ * @returns {array}
+ */
+export function spectatorView(game) {
+  const knownIdentities = game.getKnownIdentities(null);
+  return game.players.map(player => serializePlayer(player, knownIdentities[player.name] || Sight.HIDDEN));
+}
+
+/**
+ * Players once the game is over, when every identity is revealed to everyone
+ * @param {Game} game
+ * @returns {array}
+ */
+export function postGameView(game) {
+  return game.players.map(player => serializePlayer(player, Sight.IDENTITY));
+}
+
+/**
+ * @param {Game} game
+ * @param {Player} viewer - The player the view is for, or undefined for a spectator
+ * @returns {array} players as the viewer is allowed to see them at this point in the game
+ */
+export function playersView(game, viewer) {
+  if (!game.isStarted) return lobbyView(game.players);
+  if (game.winningTeam !== null) return postGameView(game);
+  return viewer ? playerView(game, viewer) : spectatorView(game);
+}
+
+/**
+ * @param {Game} game
+ * @param {Quest} quest
+ * @returns {Object} the quest without its leader's socket or the quest cards, and with votes only once they are revealed
+ */
+export function questView(game, quest) {
+  const allTeamVotesIn = quest.teamVotesNeededLeft <= 0;
+  return {
+    ...pick(quest, PublicQuestFields),
+    leader: quest.leaderInfo.name,
+    playersOnQuest: Array.from(quest.playersOnQuest),
+    acceptOrRejectTeam: allTeamVotesIn ? game.getTeamVoteResults(quest) : null,
+    votes: quest.success !== null ? game.getQuestVoteResults(quest) : null
+  };
+}
+
+/**
+ * @param {Game} game
+ * @param {Object} quests - Quests by number, the game's quests by default
+ * @returns {Object}
+ */
+export function questsView(game, quests = game.quests) {
+  const view = {};
+  for (const [questNum, quest] of Object.entries(quests)) {
+    view[questNum] = questView(game, quest);
+  }
+  return view;
+}
+
+/**
+ * @param {array} spectators
+ * @returns {array} only the names of the spectators
+ */
+export function spectatorsView(spectators) {
+  return spectators.map(spectator => ({ name: spectator.name }));
+}
+
+/**
+ * The actions the viewer can take right now, named after their socket events, with what the client needs to show them.
+ * Spectators can't take any action
+ * @param {Game} game
+ * @param {Player} viewer - The player the view is for, or undefined for a spectator
+ * @returns {Object}
+ */
+export function actionsView(game, viewer) {
+  const can = action => Boolean(viewer) && !checkAction(game, action, viewer);
+  const currentQuest = game.isStarted ? game.getCurrentQuest() : null;
+  const overheardConversation = can('overhearConversation') && game.getPendingOverheardConversation();
+
+  return {
+    approveReconnect: can('approveReconnect') ? Object.keys(game.reconnectRequests) : [],
+    createBot: can('createBot'), //the host can change the setup options
+    startGame: can('startGame') && game.hasEnoughPlayers(),
+    targetQuest: can('targetQuest') && game.hasExpansion('Targeting'),
+    addRemovePlayerFromQuest: can('addRemovePlayerFromQuest'),
+    leaderHasConfirmedTeam: can('leaderHasConfirmedTeam') && currentQuest.playersNeededLeft <= 0,
+    givePlotCard: can('givePlotCard') ? {
+      card: game.plotCardsToGive[0],
+      givenTo: game.getCurrentPlotCards().map(plotCard => plotCard.holder)
+    } : null,
+    overhearConversation: overheardConversation && overheardConversation.holder === viewer.name ?
+      game.getAdjacentPlayers(viewer.name) : [],
+    playerAcceptsOrRejectsTeam: can('playerAcceptsOrRejectsTeam') && game.canVoteOnTeam(viewer),
+    questVote: can('questVote') && !viewer.voted ? game.getAllowedQuestCards(viewer) : [],
+    useExcalibur: can('useExcalibur'),
+    ladyOfTheLakeInspect: can('ladyOfTheLakeInspect'),
+    tricksterShowsTeam: can('tricksterShowsTeam'),
+    assassinatePlayer: can('assassinatePlayer'),
+    resetGame: can('resetGame')
+  };
+}
+
+/**
+ * @param {Game} game
+ * @returns {Object} the setup options the host chose
+ */
+export function settingsView(game) {
+  return {
+    mode: game.mode,
+    specialRoles: game.specialRoles,
+    customRoles: game.customRoles,
+    customQuests: game.customQuests,
+    lancelotVariant: game.lancelotVariant,
+    expansions: game.expansions,
+    houseRules: game.houseRules
+  };
+}
+
+/**
+ * @param {Object} player - { name, role, team }
+ * @param {string|Object} knowledge - See Player's knownIdentities
+ * @returns {Object} { name, role, team } as the player was seen, with '???' for what wasn't
+ */
+function seenAs(player, knowledge) {
+  if (knowledge === Sight.IDENTITY) return { name: player.name, role: player.role, team: player.team };
+  if (knowledge === Sight.TEAM) return { name: player.name, role: '???', team: player.team };
+  return { name: player.name, role: knowledge.role, team: knowledge.team };
+}
+
+/**
+ * What happened in a finished game, from its log (see Game.logEvent), shown to everyone until the game is reset.
+ * Each player knew what their role showed them at the start, then what they learned during the game ({ how, questNum }:
+ * 'ladyOfTheLake', 'plotCard', 'revealed' or 'switched', when a Lancelot they saw switched teams).
+ * A team vote was the right choice for a Good player when they accepted a team without any Evil player on it,
+ * or rejected one with an Evil player, and the other way around for an Evil player
+ * @param {Game} game
+ * @returns {Object} { winningTeam, reason, assassination, players, quests }, or null if the game isn't over
+ */
+export function summaryView(game) {
+  const gameOver = game.gameLog.find(event => event.type === 'gameOver');
+  if (!gameOver) return null;
+
+  const { players: startingPlayers, settings } = game.gameLog.find(event => event.type === 'gameStarted');
+  const knowledge = getKnowledgeMatrix(startingPlayers, settings.lancelotVariant);
+  //a Lancelot's team can switch during the game, so votes are judged by the teams at the time
+  const teams = {};
+  startingPlayers.forEach(player => teams[player.name] = player.team);
+  const players = startingPlayers.map(player => ({
+    name: player.name,
+    role: player.role,
+    team: player.team,
+    knew: Object.entries(knowledge[player.name]).map(([name, sight]) =>
+      ({ ...seenAs(startingPlayers.find(other => other.name === name), sight), how: 'start', questNum: null })),
+    votes: []
+  }));
+  const playerNamed = name => players.find(player => player.name === name);
+  const quests = [];
+  let assassination = null;
+  let team = [];
+
+  game.gameLog.forEach(event => {
+    const learned = (how, { name, role }, team) => ({ name, role, team, how, questNum: event.questNum });
+    if (event.type === 'loyaltyCard') {
+      event.lancelots.forEach(({ name, team }) => {
+        teams[name] = team;
+        //whoever saw a Lancelot at the start is shown their current team, as during the game
+        players.forEach(player => {
+          const known = player.knew.find(known => known.name === name && known.how === 'start');
+          if (known && known.team !== team) player.knew.push(learned('switched', known, team));
+        });
+      });
+    } else if (event.type === 'ladyOfTheLake' || event.type === 'plotCardUsed') {
+      //what the holder was shown, even if the Trickster lied
+      const how = event.type === 'ladyOfTheLake' ? 'ladyOfTheLake' : 'plotCard';
+      playerNamed(event.holder).knew.push(learned(how, { name: event.target, role: '???' }, event.team));
+    } else if (event.type === 'revealerRevealed') {
+      const revealer = playerNamed(event.player);
+      players.filter(player => player !== revealer).forEach(player =>
+        player.knew.push(learned('revealed', revealer, teams[revealer.name])));
+    } else if (event.type === 'teamProposed') {
+      team = event.team;
+    } else if (event.type === 'teamVote' && !event.hammer) {
+      const hasEvil = team.some(name => teams[name] === 'Evil');
+      players.forEach(player => {
+        const vote = event.accept.includes(player.name) ? 'accept' : event.reject.includes(player.name) ? 'reject' : null;
+        if (!vote) return;
+        const correct = (vote === 'accept') === (teams[player.name] === 'Evil' ? hasEvil : !hasEvil);
+        player.votes.push({ questNum: event.questNum, proposal: event.proposal, team, vote, correct });
+      });
+    } else if (event.type === 'questResult') {
+      const { questNum, team, succeed, fail, success } = event;
+      //only the result was shown during the game, as in Game.getQuestVoteResults
+      quests.push(event.hiddenFailCounts ?
+        { questNum, team, hidden: true, success } :
+        { questNum, team, succeed, fail, success });
+    } else if (event.type === 'assassination') {
+      const { assassin, target, targetRole } = event;
+      assassination = { assassin, target, targetRole };
+    }
+  });
+
+  return { winningTeam: gameOver.winningTeam, reason: gameOver.reason, assassination, players, quests };
+}
+
+/**
+ * Everything the viewer's page shows about the room, so any change (or a reconnect) can be synced in one event
+ * @param {Game} game
+ * @param {Player} viewer - The player the view is for, or undefined for a spectator
+ * @returns {Object}
+ */
+export function gameView(game, viewer) {
+  const actions = actionsView(game, viewer);
+  return {
+    roomCode: game.roomCode,
+    seq: game.snapshotSeq,
+    phase: game.phase,
+    isStarted: game.isStarted,
+    winningTeam: game.winningTeam,
+    replayId: game.replayId,
+    settings: settingsView(game),
+    players: playersView(game, viewer),
+    spectators: spectatorsView(game.spectators),
+    //the roles & quests that will be used are previewed before the game starts
+    roleList: game.isStarted ? game.roleList : game.getRoleListPreview(),
+    quests: questsView(game, game.isStarted ? game.quests : game.getQuestsPreview()),
+    voteTrack: game.isStarted ? game.getCurrentQuest().voteTrack : null,
+    voteResults: game.gameState.voteResults,
+    gameStatus: actions.assassinatePlayer ? AssassinStatusMsg : game.gameState.gameStatusMsg,
+    summary: summaryView(game),
+    actions
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Structured server logs. Each entry has a time, a level, a message & fields (ex: roomCode, player, event, phase),
+ * so the history of one room can be pulled out of the logs.
+ *
+ * Set in .env:
+ * LOG_LEVEL - 'debug', 'info' (default), 'warn' or 'error'
+ * LOG_FORMAT - 'json' for one JSON object per line, or 'text' (default)
+ */
+
+const Levels = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// fields that could give away a session or a hidden role, only written when debugging
+const SecretFields = new Set(['sessionToken', 'role', 'team', 'roles', 'knownIdentities', 'decision', 'questCards']);
+
+/**
+ * Read when logging rather than on import, since .env is loaded after the modules are
+ * @returns {Object}
+ */
+function settings() {
+  const level = Levels.hasOwnProperty(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+  return { level, json: process.env.LOG_FORMAT === 'json' };
+}
+
+/**
+ * @param {Object} fields
+ * @param {boolean} showSecrets
+ * @returns {Object} the fields with the values of functions filled in, and secrets hidden
+ */
+function resolveFields(fields, showSecrets) {
+  const resolved = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const resolvedValue = typeof value === 'function' ? value() : value;
+    if (resolvedValue === undefined) continue;
+    resolved[key] = !showSecrets && SecretFields.has(key) ? '[hidden]' : resolvedValue;
+  }
+  return resolved;
+}
+
+/**
+ * @param {Object} entry
+ * @returns {string}
+ */
+function formatText({ time, level, msg, ...fields }) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ' ' + details : ''}`;
+}
+
+export class Logger {
+  /**
+   * @param {Object} context - Fields added to every entry. A function is called each time, for values that change (ex: the phase)
+   */
+  constructor(context = {}) {
+    this.context = context;
+  }
+
+  /**
+   * @param {Object} fields - Fields added to every entry of the new logger
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({ ...this.context, ...fields });
+  }
+
+  /**
+   * @param {string} level - One of Levels
+   * @param {string} msg
+   * @param {Object} fields
+   */
+  write(level, msg, fields = {}) {
+    const { level: minLevel, json } = settings();
+    if (Levels[level] < Levels[minLevel]) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...resolveFields({ ...this.context, ...fields }, minLevel === 'debug')
+    };
+    const line = json ? JSON.stringify(entry) : formatText(entry);
+    if (Levels[level] >= Levels.warn) console.error(line);
+    else console.log(line);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+}
+
+export const logger = new Logger();
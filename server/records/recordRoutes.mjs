@@ -0,0 +1,28 @@
+/**
+ * HTTP routes to download the record of a finished game (see game/gameRecord.mjs), linked from the end of each game
+ */
+import express from 'express';
+import { logger } from '../logger.mjs';
+
+/**
+ * @param {RoomStore} rooms
+ * @returns {Object} express router of the game records
+ */
+export function recordRoutes(rooms) {
+  const router = express.Router();
+
+  //saved as a file named after the game, rather than opened in the browser
+  router.get('/:id', (req, res, next) => {
+    const { id } = req.params;
+    if (!/^[0-9a-f]{16}$/.test(id)) return res.status(404).json({ error: `Game record '${id}' does not exist.` });
+
+    rooms.loadReplay(id).then(record => {
+      if (!record) return res.status(404).json({ error: `Game record '${id}' does not exist.` });
+      logger.debug('game record downloaded', { replayId: id });
+      res.attachment(`avalon-game-${record.roomCode}-${id}.json`);
+      res.send(JSON.stringify(record, null, 2));
+    }).catch(next);
+  });
+
+  return router;
+}
@@ -1,6 +1,107 @@
-import { sanitizeTeamView } from '../game/utility.mjs';
+import crypto from 'crypto';
+import Game from '../game/game.mjs';
+import { gameView, questView, settingsView } from '../game/views.mjs';
+import { buildGameRecord } from '../game/gameRecord.mjs';
+import { Phases } from '../game/phases.mjs';
+import { Roles } from '../game/roles.mjs';
+import { on } from './protocol.mjs';
+import { recordPhaseChange } from '../admin/metrics.mjs';
 import GameBot from '../game/gameBot.mjs';
-import { Rooms } from '../app.mjs';
+import { rooms } from '../app.mjs';
+import { logger } from '../logger.mjs';
+
+// rooms with a sync waiting to be sent, so the changes from one event go out in a single snapshot
+const pendingSyncs = new Set();
+
+// how long a disconnected spectator, or player in the lobby, keeps their place for them to reconnect
+const RECONNECT_TIMEOUT = 60000;
+
+// how long lobbies & finished games can be idle before they are closed, and how long before that the room is warned
+const IDLE_LOBBY_TIMEOUT = 30 * 60000;
+const FINISHED_GAME_TIMEOUT = 15 * 60000;
+const EXPIRY_WARNING = 5 * 60000;
+
+/**
+ * Sync a room from anywhere, including sockets that haven't joined it yet (see syncGame)
+ * @param {Object} io
+ * @param {Game} game
+ */
+export function syncRoom(io, game) {
+  const { roomCode } = game;
+  if (pendingSyncs.has(roomCode)) return;
+  pendingSyncs.add(roomCode);
+  process.nextTick(() => {
+    pendingSyncs.delete(roomCode);
+    if (rooms.peek(roomCode) !== game) return;
+    game.snapshotSeq++;
+    game.players.forEach(player => {
+      io.to(player.socketID).emit('syncGame', gameView(game, player));
+    });
+    game.spectators.forEach(spectator => {
+      io.to(spectator.socketID).emit('syncGame', gameView(game));
+    });
+  });
+}
+
+/**
+ * Rooms nobody comes back to are deleted after 5 minutes
+ * @param {Game} game
+ */
+export function scheduleRoomDeletion(game) {
+  const { roomCode } = game;
+  game.deleteRoomTimeout = setTimeout(function () {
+    rooms.withRoom(roomCode, latestGame => {
+      //someone may have come back through another server process, which can't cancel this process's timer
+      if (latestGame !== game || game.players.some(player => !player.disconnected && !game.botNames.has(player.name))) return;
+      logger.info('room deleted after 5 minutes without activity', { roomCode, phase: game.phase });
+      return rooms.delete(roomCode);
+    });
+  }, 300000);
+}
+
+/**
+ * Everyone in the room is sent back to the home page. Has to be called from a task of the room (see RoomStore.withRoom)
+ * @param {Object} io
+ * @param {Game} game
+ * @param {string} msg - Why the room was closed, shown in the chat
+ * @returns {Promise}
+ */
+export function closeRoom(io, game, msg) {
+  io.in(game.roomCode).emit('updateChat', { id: Date.now(), serverMsg: msg });
+  io.in(game.roomCode).emit('windowReload');
+  clearTimeout(game.deleteRoomTimeout);
+  return rooms.delete(game.roomCode);
+}
+
+/**
+ * Lobbies that never start & finished games nobody plays again are closed once they have been idle for too long,
+ * with a warning in the chat first. Any event sent to the room puts off the warning, or the closing once warned.
+ * Each process only looks at the rooms it has a copy of, so it doesn't load every room of the other processes
+ * @param {Object} io
+ * @returns {Promise}
+ */
+export async function expireIdleRooms(io) {
+  for (const { roomCode } of rooms.local()) {
+    await rooms.withRoom(roomCode, game => {
+      if (!game || (game.isStarted && game.phase !== Phases.FINISHED)) return;
+      const now = Date.now();
+
+      if (game.expiryWarnedAt >= game.lastActivity) {
+        if (now - game.expiryWarnedAt < EXPIRY_WARNING) return;
+        logger.info('idle room closed', { roomCode, phase: game.phase });
+        return closeRoom(io, game, 'This room was closed for being idle.');
+      }
+
+      const timeout = game.isStarted ? FINISHED_GAME_TIMEOUT : IDLE_LOBBY_TIMEOUT;
+      if (now - game.lastActivity < timeout - EXPIRY_WARNING) return;
+      logger.info('idle room warned', { roomCode, phase: game.phase });
+      game.expiryWarnedAt = now;
+      const msgObj = { id: now, serverMsg: `This room has been idle for a while, and will be closed in ${EXPIRY_WARNING / 60000} minutes unless someone does something.` };
+      game.chat.push(msgObj);
+      io.in(roomCode).emit('updateChat', msgObj);
+    });
+  }
+}
 
 /**
  * @param {Object} io
@@ -11,46 +112,170 @@ import { Rooms } from '../app.mjs';
  * @param {boolean} reconnect
  */
 export function gameSocket(io, socket, port, game, playerName, roomCode, reconnect) {
-  if (shouldAssignNextHost()) assignNextHost();
-  updatePlayerCards();
+  //the event being handled, so everything logged while handling it says which event it was
+  let currentEvent;
+  const log = logger.child({ roomCode, player: playerName, event: () => currentEvent, phase: () => game.phase });
+
+  inRoom('connect', () => {
+    game.lastActivity = Date.now();
+    if (shouldAssignNextHost()) assignNextHost();
+    syncGame();
+  });
 
-  socket.on('createBot', function () {
-    if (!game.isStarted && game.getPlayer('socketID', socket.id).isRoomHost) {
-      new GameBot(roomCode, port).listen();
+  onRoomEvent('createBot', function () {
+    if (!isAllowed('createBot')) return;
+    if (GameBot.running >= GameBot.MAX_RUNNING) {
+      log.warn('bot limit reached', { maxBots: GameBot.MAX_RUNNING });
+      return socket.emit('updateErrorMsg', 'Error: The server is running too many bots right now. Please try again later.');
     }
+    const bot = new GameBot(roomCode, port);
+    game.botNames.add(bot.playerName);
+    log.info('bot added', { bot: bot.playerName });
+    bot.listen();
   });
 
-  socket.on('windowReload', () => {
+  on(socket, 'windowReload', () => {
     socket.emit('windowReload');
   });
 
   /**
-   * @param {Object} msg
+   * The host decides whether someone who lost their session token gets their seat back
+   * @param {string} name - Name of the disconnected player or spectator
+   * @param {boolean} approved
+   */
+  onRoomEvent('approveReconnect', (name, approved) => {
+    if (!isAllowed('approveReconnect')) return;
+    const request = game.reconnectRequests[name];
+    if (!request) return socket.emit('updateErrorMsg', `Error: Nobody is asking to reconnect as ${name}.`);
+
+    delete game.reconnectRequests[name];
+    log.info(approved ? 'reconnect approved' : 'reconnect refused', { requester: name });
+    const person = game.getDisconnectedPerson(request.action === 'joinRoom' ? 'players' : 'spectators', name);
+    if (!person) {
+      io.to(request.socketID).emit('updateErrorMsg', `Error: ${name} is no longer disconnected from room '${roomCode}'.`);
+    } else if (!approved) {
+      io.to(request.socketID).emit('updateErrorMsg', `Error: The host did not let you reconnect as ${name}.`);
+    } else {
+      //the old token stops working, so whoever had it can't take the seat back
+      const sessionToken = person.renewSessionToken();
+      io.to(request.socketID).emit('setSessionToken', { roomCode, playerName: name, sessionToken, rejoin: request.action });
+    }
+    syncGame();
+  });
+
+  /**
+   * The message is sent as the player on this socket, whatever name the client claims
+   * @param {Object} msg - The message & the time it was sent, in the sender's time zone
    */
-  socket.on('updateChat', (msg) => {
-    game.chat.push(msg);
-    io.in(roomCode).emit('updateChat', msg);
+  onRoomEvent('updateChat', ({ msg, time }) => {
+    const player = game.getPlayer('socketID', socket.id);
+    if (!player) return;
+    const msgObj = { id: Date.now(), playerName: player.name, msg, time };
+    game.chat.push(msgObj);
+    io.in(roomCode).emit('updateChat', msgObj);
+  });
+
+  /**
+   * @param {string} mode - 'Avalon' or 'Resistance'
+   */
+  onRoomEvent('updateMode', (mode) => {
+    if (!isAllowed('updateMode') || !game.setMode(mode)) return;
+    syncGame();
   });
 
   /**
    * @param {array} specialRoles
    */
-  socket.on('updateSpecialRoles', (specialRoles) => {
+  onRoomEvent('updateSpecialRoles', (specialRoles) => {
+    if (!isAllowed('updateSpecialRoles')) return;
     game.specialRoles = specialRoles;
-    io.in(roomCode).emit('updateSpecialRoles', specialRoles);
+    syncGame();
+  });
+
+  /**
+   * @param {Object} customRoles - How many of each role, or null to use the special roles
+   */
+  onRoomEvent('updateCustomRoles', (customRoles) => {
+    if (!isAllowed('updateCustomRoles')) return;
+    const unknownRole = customRoles && Object.keys(customRoles).find(role => !Roles.hasOwnProperty(role));
+    if (unknownRole) return socket.emit('updateErrorMsg', `Error: '${unknownRole}' is not a role.`);
+    game.customRoles = customRoles;
+    syncGame();
+  });
+
+  /**
+   * @param {array} customQuests - Team size & two-fail requirement of each quest, or null to use the standard table
+   */
+  onRoomEvent('updateCustomQuests', (customQuests) => {
+    if (!isAllowed('updateCustomQuests')) return;
+    if (customQuests) {
+      const errorMsg = Game.validateQuestTable(customQuests);
+      if (errorMsg) return socket.emit('updateErrorMsg', errorMsg);
+    }
+    game.customQuests = customQuests;
+    syncGame();
+  });
+
+  /**
+   * @param {Object} houseRules - Which house rules are on
+   */
+  onRoomEvent('updateHouseRules', (houseRules) => {
+    if (!isAllowed('updateHouseRules')) return;
+    game.setHouseRules(houseRules);
+    syncGame();
+  });
+
+  /**
+   * @param {number} lancelotVariant
+   */
+  onRoomEvent('updateLancelotVariant', (lancelotVariant) => {
+    if (!isAllowed('updateLancelotVariant')) return;
+    game.lancelotVariant = lancelotVariant;
+    syncGame();
+  });
+
+  /**
+   * @param {array} expansions
+   */
+  onRoomEvent('updateExpansions', (expansions) => {
+    if (!isAllowed('updateExpansions')) return;
+    game.expansions = expansions;
+    syncGame();
   });
 
-  socket.on('startGame', function () {
-    const errorMsg = validateOptionalRoles(game.specialRoles, game.players.length);
+  onRoomEvent('startGame', function () {
+    if (!isAllowed('startGame')) return;
+    const errorMsg = game.validateRoles() || game.validateQuests();
     if (errorMsg) return socket.emit('updateErrorMsg', errorMsg);
 
     game.startGame();
-    updatePlayerCards();
-    socket.emit('showSetupOptionsBtn', false);
-    socket.emit('showLobbyBtn', false);
+    log.debug('roles dealt', { roles: game.players.map(({ name, role }) => ({ name, role })) });
+    const ladyOfTheLakeHolder = game.getLadyOfTheLakeHolder();
+    game.logEvent('gameStarted', {
+      players: game.players.map(({ name, role, team }) => ({ name, role, team })),
+      quests: Object.values(game.quests).map(({ questNum, teamSize, needsTwoFails, loyaltyCard }) =>
+        ({ questNum, teamSize, needsTwoFails, loyaltyCard })),
+      settings: settingsView(game),
+      ladyOfTheLake: ladyOfTheLakeHolder ? ladyOfTheLakeHolder.name : null
+    });
+    logLeaderChosen();
     io.in(roomCode).emit('startGame', { startGame: true });
-    io.in(roomCode).emit('setRoleList', game.roleList);
-    io.in(roomCode).emit('initQuests', game.quests);
+    if (game.lancelotVariant === 2 && game.loyaltyDeck.length > 0 && game.hasExpansion('Targeting')) {
+      updateServerChat(`Loyalty cards for rounds 3 to 5: ${game.loyaltyDeck.join(', ')}.`);
+    }
+    leaderChoosesQuestTeam();
+  });
+
+  /**
+   * Targeting variant
+   * @param {number} questNum - Quest the leader wants the team to attempt
+   */
+  onRoomEvent('targetQuest', function (questNum) {
+    if (!isAllowed('targetQuest')) return;
+    const previousQuest = game.getCurrentQuest();
+    if (!game.targetQuest(questNum)) return;
+
+    if (previousQuest.questNum !== questNum) game.logEvent('questTargeted', { previousQuestNum: previousQuest.questNum });
     leaderChoosesQuestTeam();
   });
 
@@ -58,51 +283,118 @@ export function gameSocket(io, socket, port, game, playerName, roomCode, reconne
    * @param {string} action
    * @param {string} playerName
    */
-  socket.on('addRemovePlayerFromQuest', function (action, playerName) {
-    if (!game.addRemovePlayerFromQuest(action, playerName)) return;
+  onRoomEvent('addRemovePlayerFromQuest', function (action, playerName) {
+    if (!isAllowed('addRemovePlayerFromQuest') || !game.addRemovePlayerFromQuest(action, playerName)) return;
 
-    updatePlayerCards();
     let { leaderInfo, playersNeededLeft, questNum } = game.getCurrentQuest();
     if (playersNeededLeft > 0) {
       updateGameStatus(`${leaderInfo.name} is choosing ${playersNeededLeft} more player(s)
                       to go on quest ${questNum}`);
-      socket.emit('showConfirmTeamBtnToLeader', false);
     } else {
       updateGameStatus(`Waiting for ${leaderInfo.name} to confirm team.`);
-      socket.emit('showConfirmTeamBtnToLeader', true);
     }
   });
 
-  socket.on('leaderHasConfirmedTeam', function () {
-    socket.emit('showConfirmTeamBtnToLeader', false);
-    socket.emit('showAddRemovePlayerBtns', false);
-    game.getCurrentQuest().leaderHasConfirmedTeam = true;
+  /**
+   * @param {string} excaliburHolder - Name of the player given Excalibur, if the expansion is enabled
+   */
+  onRoomEvent('leaderHasConfirmedTeam', function (excaliburHolder) {
+    if (!isAllowed('leaderHasConfirmedTeam')) return;
+    if (game.getCurrentQuest().playersNeededLeft > 0) {
+      return socket.emit('updateErrorMsg', 'Error: Choose the rest of the quest team before confirming it.');
+    }
+    if (game.hasExpansion('Excalibur') && !game.giveExcalibur(excaliburHolder)) {
+      return socket.emit('updateErrorMsg', 'Error: Excalibur must be given to a player on the quest other than the leader.');
+    }
 
-    game.gameState['showAcceptOrRejectTeamBtns'] = true;
-    updateGameStatus('Waiting for all players to Accept or Reject team.');
-    io.in(roomCode).emit('hidePreviousVoteResults');
+    const currentQuest = game.getCurrentQuest();
+    currentQuest.leaderHasConfirmedTeam = true;
+    game.setPhase(Phases.TEAM_VOTE);
+    game.logEvent('teamProposed', {
+      leader: currentQuest.leaderInfo.name,
+      proposal: currentQuest.voteTrack + 1,
+      team: Array.from(currentQuest.playersOnQuest),
+      excaliburHolder: currentQuest.excaliburHolder || null
+    });
+    game.gameState['voteResults'] = { team: null, quest: null };
 
-    game.players.forEach(player => {
-      io.to(player.socketID).emit('showAcceptOrRejectTeamBtns', true);
-    })
+    if (game.hasExpansion('Plot Cards')) {
+      game.drawPlotCards();
+      return leaderGivesPlotCard();
+    }
+    startTeamVote();
+  });
+
+  /**
+   * Plot Cards module
+   * @param {string} playerName - Name of the player given the leader's next plot card
+   */
+  onRoomEvent('givePlotCard', function (playerName) {
+    if (!isAllowed('givePlotCard')) return;
+    const plotCard = game.givePlotCard(socket.id, playerName);
+    if (!plotCard) return;
+
+    game.gameState['showPlotCardBtns'] = false;
+    game.logEvent('plotCardGiven', { card: plotCard.card, leader: game.getCurrentQuest().leaderInfo.name, holder: playerName });
+    updateServerChat(`${game.getCurrentQuest().leaderInfo.name} gave ${playerName} the plot card ${plotCard.card}.`);
+
+    switch (plotCard.card) {
+      case 'Establish Confidence':
+        revealPlotCardResult(plotCard);
+        break;
+      case 'Overheard Conversation':
+        return overheardConversationChoosesPlayer(plotCard);
+    }
+    continuePlotCards();
+  });
+
+  /**
+   * Plot Cards module
+   * @param {string} playerName - Name of the adjacent player whose team is overheard
+   */
+  onRoomEvent('overhearConversation', function (playerName) {
+    if (!isAllowed('overhearConversation')) return;
+    const plotCard = game.overhearConversation(socket.id, playerName);
+    if (!plotCard) return;
+
+    game.gameState['showOverheardConversationBtns'] = false;
+    revealPlotCardResult(plotCard);
+    continuePlotCards();
   });
 
   /**
    * @param {string} decision 
    */
-  socket.on('playerAcceptsOrRejectsTeam', function (decision) {
-    if (!game.addVote('team', socket.id, decision)) return;
+  onRoomEvent('playerAcceptsOrRejectsTeam', function (decision) {
+    if (!isAllowed('playerAcceptsOrRejectsTeam')) return;
+    const opinionMakers = game.getOpinionMakersYetToVote();
+    if (!game.addVote('team', socket.id, decision)) {
+      return socket.emit('updateErrorMsg', "Error: You can't vote on the team right now.");
+    }
 
-    socket.emit('showAcceptOrRejectTeamBtns', false);
     let currentQuest = game.getCurrentQuest();
     updateGameStatus(`Waiting for ${currentQuest.teamVotesNeededLeft} more player(s) to Accept or Reject team.`);
 
+    //Opinion Maker votes are public, and everyone else can vote once they are in
+    const opinionMaker = game.getPlayer('socketID', socket.id);
+    if (opinionMakers.includes(opinionMaker.name)) {
+      updateServerChat(`${opinionMaker.name} (Opinion Maker) voted to ${decision} the team.`);
+    }
+
     //everyone has voted, reveal the votes & move on
     if (currentQuest.teamVotesNeededLeft <= 0) {
       game.gameState['showAcceptOrRejectTeamBtns'] = false;
       game.assignTeamResult();
-      revealVoteResults('team', currentQuest.acceptOrRejectTeam);
-      io.in(roomCode).emit('updateBotRiskScores', currentQuest.questNum);
+      game.logEvent('teamVote', {
+        proposal: currentQuest.voteTrack + 1,
+        accept: currentQuest.acceptOrRejectTeam.accept,
+        reject: currentQuest.acceptOrRejectTeam.reject,
+        approved: currentQuest.teamAccepted,
+        hammer: false,
+        anonymous: game.houseRules.anonymousTeamVotes
+      });
+      revealVoteResults('team', game.getTeamVoteResults());
+      io.in(roomCode).emit('updateBotRiskScores', questView(game, currentQuest));
 
       if (currentQuest.teamAccepted) {
         showSucceedAndFailBtnsToPlayersOnQuest();
@@ -116,8 +408,11 @@ export function gameSocket(io, socket, port, game, playerName, roomCode, reconne
   /**
    * @param {string} decision 
    */
-  socket.on('questVote', function (decision) {
-    if (!game.addVote('quest', socket.id, decision)) return;
+  onRoomEvent('questVote', function (decision) {
+    if (!isAllowed('questVote')) return;
+    if (!game.addVote('quest', socket.id, decision)) {
+      return socket.emit('updateErrorMsg', "Error: You can't play that quest card on this quest.");
+    }
 
     let currentQuest = game.getCurrentQuest();
     updateGameStatus(`Waiting for ${currentQuest.questVotesNeededLeft} more player(s) to go on quest.`);
@@ -125,86 +420,164 @@ export function gameSocket(io, socket, port, game, playerName, roomCode, reconne
     // all votes received
     if (currentQuest.questVotesNeededLeft <= 0) {
       game.gameState['showSucceedOrFailQuestBtns'] = false;
-      revealVoteResults('quest', currentQuest.votes);
-      io.in(roomCode).emit('updateBotRiskScores', currentQuest.questNum);
-      io.in(roomCode).emit('updateQuest', game.assignQuestResult());
-      game.gameOver() ? gameOver() : chooseNextQuestTeamAnd('startNextQuest');
+      currentQuest.excaliburHolder ? excaliburHolderChoosesPlayer() : revealQuestResult();
     }
   });
 
+  /**
+   * @param {string} playerName - Name of the player whose quest card is flipped, or null to not use Excalibur
+   */
+  onRoomEvent('useExcalibur', function (playerName) {
+    if (!isAllowed('useExcalibur')) return;
+    const holder = game.getPlayer('hasExcalibur', true);
+
+    if (playerName) {
+      const originalCard = game.useExcalibur(socket.id, playerName);
+      if (!originalCard) return;
+      game.logEvent('excalibur', { holder: holder.name, target: playerName, originalCard });
+      socket.emit('excaliburResult', { name: playerName, decision: originalCard });
+      updateServerChat(`${holder.name} used Excalibur on ${playerName}.`);
+    } else {
+      game.logEvent('excalibur', { holder: holder.name, target: null, originalCard: null });
+      updateServerChat(`${holder.name} chose not to use Excalibur.`);
+    }
+    game.gameState['showExcaliburBtns'] = false;
+    revealQuestResult();
+  });
+
   /**
    * @param {string} playerName 
    */
-  socket.on('assassinatePlayer', function (playerName) {
-    if (!game.assassinatePlayer(playerName)) return;
+  onRoomEvent('ladyOfTheLakeInspect', function (playerName) {
+    if (!isAllowed('ladyOfTheLakeInspect')) return;
+    if (!game.canUseLadyOfTheLake(socket.id, playerName)) {
+      return socket.emit('updateErrorMsg', 'Error: You can only inspect a player who has not held the Lady of the Lake.');
+    }
 
-    if (game.winningTeam === 'Evil') {
-      updateGameStatus(`Assassin successfully discovered and killed ${playerName}, who was Merlin. Evil wins!`);
+    game.gameState['showLadyOfTheLakeBtns'] = false;
+    const target = game.getPlayer('name', playerName);
+
+    //the Trickster chooses which team the holder learns
+    if (game.choosesInspectionResult(target)) {
+      game.gameState['showTricksterBtns'] = true;
+      updateGameStatus(`${game.getLadyOfTheLakeHolder().name} is inspecting ${target.name}.`);
     } else {
-      updateGameStatus(`Assassin killed ${playerName}, who is not Merlin. Good wins!`);
+      revealLadyOfTheLakeResult(game.useLadyOfTheLake(socket.id, playerName));
     }
-    socket.emit('showAssassinateBtn', false);
-    io.in(roomCode).emit('updatePlayerCards', game.players);
-    io.in(roomCode).emit('showLobbyBtn', true);
   });
 
-  socket.on('disconnect', function () {
-    if (Object.keys(Rooms).length === 0 || typeof game === 'undefined') return;
+  /**
+   * @param {string} team - 'Good' or 'Evil', the team the Trickster shows to the Lady of the Lake holder
+   */
+  onRoomEvent('tricksterShowsTeam', function (team) {
+    if (!isAllowed('tricksterShowsTeam')) return;
+    const trickster = game.getPlayer('socketID', socket.id);
+
+    game.gameState['showTricksterBtns'] = false;
+    revealLadyOfTheLakeResult(game.useLadyOfTheLake(game.getLadyOfTheLakeHolder().socketID, trickster.name, team));
+  });
+
+  /**
+   * @param {string} playerName 
+   */
+  onRoomEvent('assassinatePlayer', function (playerName) {
+    if (!isAllowed('assassinatePlayer')) return;
+    if (!game.assassinatePlayer(playerName)) {
+      return socket.emit('updateErrorMsg', 'Error: The Assassin can only assassinate a good player.');
+    }
+    const target = game.getPlayer('name', playerName);
+    game.logEvent('assassination', { assassin: game.getPlayer('socketID', socket.id).name, target: playerName, targetRole: target.role });
+    logGameOver(game.winningTeam === 'Evil' ? 'merlinAssassinated' : 'merlinSurvived');
+
+    if (game.winningTeam === 'Evil') {
+      updateGameStatus(`Assassin successfully discovered and killed ${playerName}, who was Merlin. Evil wins!` + lancelotTeamsMsg());
+    } else {
+      updateGameStatus(`Assassin killed ${playerName}, who is not Merlin. Good wins!` + lancelotTeamsMsg());
+    }
+  });
 
-    if (game.getSpectator('socketID', socket.id)) return disconnectSpectator(roomCode, socket.id);
-    else disconnectPlayer(socket.id);
+  socket.on('disconnect', () => inRoom('disconnect', () => {
+    const spectator = game.getSpectator('socketID', socket.id);
+    if (spectator) return disconnectSpectator(spectator);
+    const player = game.getPlayer('socketID', socket.id);
+    if (!player) return; //a newer connection took their place back with their session token
+    disconnectPlayer(player);
 
     if (shouldAssignNextHost()) assignNextHost();
     updateLobbyStatus();
-    updatePlayerCards();
+    syncGame();
     gameRoomCleanUp();
-  });
+  }));
 
-  socket.on('resetGame', function () {
+  onRoomEvent('resetGame', function () {
+    if (!isAllowed('resetGame')) return;
     game.resetGame();
     io.in(roomCode).emit('startGame', { startGame: false });
-    io.in(roomCode).emit('hidePreviousVoteResults');
     game.players.forEach(player => {
       io.to(player.socketID).emit('goToLobby', { playerName: player.name, roomCode });
     });
     game.spectators.forEach(spectator => {
       io.to(spectator.socketID).emit('goToLobby', { playerName: spectator.name, roomCode });
     });
-    io.to(game.getPlayer('isRoomHost', true).socketID).emit('showSetupOptionsBtn', true);
-    updatePlayerCards();
     updateLobbyStatus();
   });
 
   /**
- * Make sure chosen optional roles works for number of players
- * If 5 or 6 players, cannot have more than 1 of Mordred, Oberon, and Morgana
- * @param {Object} roles 
- * @param {number} numPlayers 
- * @returns {string} 
- */
-  function validateOptionalRoles(roles, numPlayers) {
-    const evilRoles = roles.filter((role) => role != "Percival");
+   * Handle a client event with the room up to date, and no other event of the room (from any server process) being handled
+   * @param {string} event - One of ClientEvents
+   * @param {function} handler
+   */
+  function onRoomEvent(event, handler) {
+    on(socket, event, (...args) => inRoom(event, () => {
+      const phaseBefore = game.phase;
+      game.lastActivity = Date.now();
+      //payloads can hold secret choices (ex: quest cards), so they are only logged when debugging
+      log.debug('event received', { args });
+      handler(...args);
+      if (game.phase !== phaseBefore) log.info('phase changed', { previousPhase: phaseBefore });
+      recordPhaseChange(phaseBefore, game);
+    }));
+  }
 
-    if (numPlayers <= 6 && evilRoles.length > 1) {
-      return `Error: Games with 5 or 6 players can only include 1 optional evil role.
-                  <br/>Please select only one, then click Start Game again.`;
-    }
-    else if ((numPlayers > 6 && numPlayers < 10) && evilRoles.length > 2) {
-      return `Error: Games with 7, 8, or 9 players can only include 2 optional evil roles.
-                  <br/>Please select only one, then click Start Game again.`;
+  /**
+   * @param {string} event - What the task is handling, for the logs
+   * @param {function} task - Reads or changes the game
+   * @returns {Promise}
+   */
+  function inRoom(event, task) {
+    return rooms.withRoom(roomCode, latestGame => {
+      if (latestGame !== game) return;
+      currentEvent = event;
+      try {
+        return task();
+      } finally {
+        currentEvent = undefined;
+      }
+    });
+  }
+
+  /**
+   * Rejected actions send the player an error explaining why
+   * @param {string} action - Name of the socket event
+   * @returns {boolean} whether the player can take the action right now
+   */
+  function isAllowed(action) {
+    const errorMsg = game.checkAction(action, socket.id);
+    if (errorMsg) {
+      log.info('action refused', { error: errorMsg });
+      socket.emit('updateErrorMsg', errorMsg);
     }
+    return !errorMsg;
   }
 
   function updateLobbyStatus() {
     if (game.isStarted) return;
 
     const host = game.getPlayer('isRoomHost', true);
-    if (game.players.length >= 5) {
-      io.to(host.socketID).emit('showStartGameBtn', true);
+    if (game.hasEnoughPlayers()) {
       updateGameStatus(`Waiting for ${host.name} to start the game.`);
     } else if (game.players.length > 0) {
-      io.to(host.socketID).emit('showStartGameBtn', false);
-      updateGameStatus(`Waiting for ${5 - game.players.length} more player(s) to join.`);
+      updateGameStatus(`Waiting for ${game.playersNeeded()} more player(s) to join.`);
     }
   }
 
@@ -214,7 +587,8 @@ export function gameSocket(io, socket, port, game, playerName, roomCode, reconne
    */
   function revealVoteResults(type, votes) {
     game.resetPlayersProperty('voted');
-    io.in(roomCode).emit('revealVoteResults', { type, votes });
+    game.gameState['voteResults'][type] = votes;
+    syncGame();
   }
 
   /**
@@ -226,67 +600,228 @@ export function gameSocket(io, socket, port, game, playerName, roomCode, reconne
     }
     else if (action === 'startNextQuest') {
       game.startNextQuest();
+      const { loyaltyCard } = game.getCurrentQuest();
+      if (loyaltyCard && game.roundNum >= 3) {
+        game.logEvent('loyaltyCard', { card: loyaltyCard, lancelots: game.getLancelots().map(({ name, team }) => ({ name, team })) });
+      }
     }
-    updatePlayerCards();
+    logLeaderChosen();
     leaderChoosesQuestTeam();
   }
 
+  function logLeaderChosen() {
+    const { leaderInfo, voteTrack } = game.getCurrentQuest();
+    game.logEvent('leaderChosen', { leader: leaderInfo.name, proposal: voteTrack + 1 });
+  }
+
+  /**
+   * The game is over: its last event is logged, and its record saved for anyone to step through or download.
+   * The replay is only offered to the room once it is saved, so its link never leads nowhere
+   * @param {string} reason - 'questsSucceeded', 'questsFailed', 'teamsRejected', 'merlinAssassinated' or 'merlinSurvived'
+   */
+  function logGameOver(reason) {
+    game.logEvent('gameOver', { winningTeam: game.winningTeam, reason });
+    const replay = buildGameRecord(game, crypto.randomBytes(8).toString('hex'));
+    const { gameLog } = game;
+    log.info('game over', { winningTeam: game.winningTeam, reason, replayId: replay.id });
+
+    rooms.saveReplay(replay)
+      .then(() => inRoom('replaySaved', () => {
+        //the host may have sent everyone back to the lobby in the meantime
+        if (game.gameLog !== gameLog) return;
+        game.replayId = replay.id;
+        syncGame();
+      }))
+      .catch(err => log.error('could not save replay', { replayId: replay.id, error: err.message }));
+  }
+
   function leaderChoosesQuestTeam() {
-    const { voteTrack, leaderInfo, playersNeededLeft, questNum, currentQuest } = game.getCurrentQuest();
+    const { leaderInfo, playersNeededLeft, questNum, loyaltyCard } = game.getCurrentQuest();
+    const hammerMsg = game.isHammerProposal() ? '<br/>This is the hammer: the team will be approved without a vote.' : '';
+
+    updateGameStatus(loyaltyCardMsg(loyaltyCard, game.roundNum) + `${leaderInfo.name} is choosing ${playersNeededLeft} more player(s)
+                    to go on quest ${questNum}` + hammerMsg);
+    log.info('leader choosing quest team', { quest: questNum, leader: leaderInfo.name });
+  }
+
+  function startTeamVote() {
+    const currentQuest = game.getCurrentQuest();
+    if (game.isHammerProposal()) {
+      currentQuest.teamAccepted = true;
+      game.setPhase(Phases.QUEST);
+      game.logEvent('teamVote', {
+        proposal: currentQuest.voteTrack + 1,
+        accept: [],
+        reject: [],
+        approved: true,
+        hammer: true,
+        anonymous: game.houseRules.anonymousTeamVotes
+      });
+      updateServerChat(`Proposal ${currentQuest.voteTrack + 1} for quest ${currentQuest.questNum} is the hammer, so the team is approved without a vote.`);
+      return showSucceedAndFailBtnsToPlayersOnQuest();
+    }
+
+    game.gameState['showAcceptOrRejectTeamBtns'] = true;
+    const opinionMakers = game.getOpinionMakersYetToVote();
+    if (opinionMakers.length > 0) {
+      updateGameStatus(`Waiting for ${opinionMakers.join(', ')} (Opinion Maker) to Accept or Reject team first.`);
+    } else {
+      updateGameStatus('Waiting for all players to Accept or Reject team.');
+    }
+  }
 
-    io.in(roomCode).emit('updateQuest', { questNum, currentQuest });
-    io.in(roomCode).emit('updateVoteTrack', voteTrack);
-    updateGameStatus(`${leaderInfo.name} is choosing ${playersNeededLeft} more player(s)
-                    to go on quest ${questNum}`);
-    console.log(`Current Quest: ${questNum}`);
-    io.to(leaderInfo.socketID).emit('showAddRemovePlayerBtns', true);
+  function leaderGivesPlotCard() {
+    const { leaderInfo } = game.getCurrentQuest();
+    const card = game.plotCardsToGive[0];
+    game.gameState['showPlotCardBtns'] = true;
+    updateGameStatus(`${leaderInfo.name} is giving the plot card ${card} to another player.`);
+  }
+
+  //hand out the leader's next plot card, or start the team vote once they have all taken effect
+  function continuePlotCards() {
+    game.plotCardsToGive.length > 0 ? leaderGivesPlotCard() : startTeamVote();
+  }
+
+  /**
+   * @param {Object} plotCard 
+   */
+  function overheardConversationChoosesPlayer(plotCard) {
+    const holder = game.getPlayer('name', plotCard.holder);
+    game.gameState['showOverheardConversationBtns'] = true;
+    updateGameStatus(`${holder.name} is overhearing the conversation of a player sitting next to them.`);
+  }
+
+  /**
+   * @param {Object} plotCard 
+   */
+  function revealPlotCardResult(plotCard) {
+    const { card, holder, target, team } = plotCard;
+    game.logEvent('plotCardUsed', { card, holder, target, team });
+    io.to(game.getPlayer('name', holder).socketID).emit('plotCardResult', { card, name: target, team });
+    updateServerChat(card === 'Establish Confidence' ?
+      `${target} showed their loyalty to ${holder}.` :
+      `${holder} overheard ${target}'s conversation.`);
+    syncGame();
   }
 
   function gameOver() {
+    const good = game.getTeamName('Good');
+    const evil = game.getTeamName('Evil');
     //good is on track to win, evil can attempt to assassinate merlin
-    if (game.questSuccesses >= 3) {
-      updateGameStatus(`Good has triumphed over Evil by succeeding ${game.questSuccesses} quests! 
+    if (game.questSuccesses >= 3 && game.winningTeam === null) {
+      //the Assassin is shown their own status while choosing (see gameView)
+      updateGameStatus(`${good} has triumphed over ${evil} by succeeding ${game.questSuccesses} quests! 
                       <br/>Waiting for the Assassin to attempt to assassinate Merlin.`)
-
-      io.to(game.getPlayer('role', 'Assassin').socketID).emit('updateGameStatus',
-        `You are the assassin. <br/> Assassinate the player you think is Merlin to win the game for evil.`);
-      io.to(game.getPlayer('role', 'Assassin').socketID).emit('showAssassinateBtn', true);
       return;
     }
 
-    if (game.questFails >= 3) {
-      updateGameStatus(`${game.questFails} quests failed. Evil wins!`);
+    if (game.questSuccesses >= 3) {
+      updateGameStatus(`${good} has triumphed over ${evil} by succeeding ${game.questSuccesses} quests! ${winsMsg('Good')}` + lancelotTeamsMsg());
+      logGameOver('questsSucceeded');
+    }
+    else if (game.questFails >= 3) {
+      updateGameStatus(`${game.questFails} quests failed. ${winsMsg('Evil')}` + lancelotTeamsMsg());
+      logGameOver('questsFailed');
     }
     else if (game.getCurrentQuest().voteTrack > 5) {
-      updateGameStatus(`Quest ${game.getCurrentQuest().questNum} had 5 failed team votes. Evil wins!`);
+      updateGameStatus(`Quest ${game.getCurrentQuest().questNum} had 5 failed team votes. ${winsMsg('Evil')}` + lancelotTeamsMsg());
+      logGameOver('teamsRejected');
+    }
+  }
+
+  function revealQuestResult() {
+    const currentQuest = game.getCurrentQuest();
+    const questResult = game.assignQuestResult();
+    game.logEvent('questResult', {
+      team: Array.from(currentQuest.playersOnQuest),
+      succeed: currentQuest.votes.succeed,
+      fail: currentQuest.votes.fail,
+      success: currentQuest.success,
+      cards: Object.fromEntries(currentQuest.questCards),
+      hiddenFailCounts: game.houseRules.hiddenFailCounts
+    });
+    revealVoteResults('quest', game.getQuestVoteResults());
+    io.in(roomCode).emit('updateBotRiskScores', questView(game, currentQuest));
+
+    const revealer = game.revealRevealer();
+    if (revealer) {
+      game.logEvent('revealerRevealed', { player: revealer.name });
+      updateServerChat(`A second quest has failed, revealing ${revealer.name} as the Revealer.`);
+      syncGame();
     }
-    io.in(roomCode).emit('updatePlayerCards', game.players);
-    io.in(roomCode).emit('showLobbyBtn', true);
+
+    if (game.gameOver()) gameOver();
+    else if (game.ladyOfTheLakeIsDue()) ladyOfTheLakeChoosesPlayer();
+    else chooseNextQuestTeamAnd('startNextQuest');
+  }
+
+  /**
+   * @param {Object} inspection 
+   */
+  function revealLadyOfTheLakeResult(inspection) {
+    game.logEvent('ladyOfTheLake', { holder: inspection.holder, target: inspection.target, team: inspection.team });
+    io.to(game.getPlayer('name', inspection.holder).socketID)
+      .emit('ladyOfTheLakeResult', { name: inspection.target, team: inspection.team });
+    updateServerChat(`${inspection.holder} used the Lady of the Lake on ${inspection.target}.`);
+    chooseNextQuestTeamAnd('startNextQuest');
+  }
+
+  function excaliburHolderChoosesPlayer() {
+    const holder = game.getPlayer('hasExcalibur', true);
+    game.gameState['showExcaliburBtns'] = true;
+    updateGameStatus(`${holder.name} holds Excalibur and may flip another quest member's card.`);
+  }
+
+  function ladyOfTheLakeChoosesPlayer() {
+    const holder = game.getLadyOfTheLakeHolder();
+    game.gameState['showLadyOfTheLakeBtns'] = true;
+    updateGameStatus(`${holder.name} holds the Lady of the Lake and is choosing a player to inspect.`);
+  }
+
+  /**
+   * @param {string} loyaltyCard 
+   * @param {number} roundNum 
+   * @returns {string}
+   */
+  function loyaltyCardMsg(loyaltyCard, roundNum) {
+    if (roundNum < 3 || !loyaltyCard) return '';
+    return loyaltyCard === 'Switch' ?
+      `Loyalty card for round ${roundNum}: Switch! The Lancelots have switched teams. <br/>` :
+      `Loyalty card for round ${roundNum}: No Change. <br/>`;
+  }
+
+  /**
+   * @param {string} team - 'Good' or 'Evil'
+   * @returns {string}
+   */
+  function winsMsg(team) {
+    const teamName = game.getTeamName(team);
+    return teamName.endsWith('s') ? `${teamName} win!` : `${teamName} wins!`;
+  }
+
+  /**
+   * Each Lancelot wins with the team they are on at the end of the game
+   * @returns {string}
+   */
+  function lancelotTeamsMsg() {
+    return game.getLancelots()
+      .map(player => `<br/>${player.name} (${player.role}) finished the game on the ${player.team} team.`)
+      .join('');
   }
 
   function showSucceedAndFailBtnsToPlayersOnQuest() {
     updateGameStatus('Waiting for quest team to go on quest.');
     game.gameState['showAcceptOrRejectTeamBtns'] = false;
     game.gameState['showSucceedOrFailQuestBtns'] = true;
-
-    game.players.forEach(player => {
-      if (player.onQuest && !player.voted) {
-        const disableFailBtn = player.team === "Good"; //check if player is good so they can't fail quest
-        io.to(player.socketID).emit('showSucceedOrFailQuestBtns', disableFailBtn);
-      }
-    });
+    syncGame();
   }
 
-  function updatePlayerCards() {
-    if (game.winningTeam !== null) {
-      return io.in(roomCode).emit('updatePlayerCards', game.players);
-    }
-    game.players.forEach(player => {
-      io.to(player.socketID).emit('updatePlayerCards', sanitizeTeamView(player.socketID, player.role, game.players));
-    });
-    game.spectators.forEach(spectator => {
-      io.to(spectator.socketID).emit('updatePlayerCards', sanitizeTeamView(spectator.socketID, 'Spectator', game.players))
-    });
+  /**
+   * Send each player & spectator a snapshot of the room with only what they are allowed to know.
+   * Every change made while handling an event goes out together, once the event has been handled
+   */
+  function syncGame() {
+    syncRoom(io, game);
   }
 
   /**
@@ -294,7 +829,7 @@ export function gameSocket(io, socket, port, game, playerName, roomCode, reconne
    */
   function updateGameStatus(msg) {
     game.gameState['gameStatusMsg'] = msg;
-    io.in(roomCode).emit('updateGameStatus', msg);
+    syncGame();
   }
 
   /**
@@ -312,90 +847,79 @@ export function gameSocket(io, socket, port, game, playerName, roomCode, reconne
 
   function assignNextHost() {
     const newHost = game.assignNextHost();
-    io.to(newHost.socketID).emit('showSetupOptionsBtn', true);
     updateServerChat(`${newHost.name} has become the new host.`);
-    console.log(`${newHost.name} has become the new host.`);
+    log.info('new host', { host: newHost.name });
   }
 
   /**
-   * @param {number} roomCode 
-   * @param {string} socketID 
+   * @param {Player} spectator
    */
-  function disconnectSpectator(roomCode, socketID) {
-    updateServerChat(`${game.getSpectator('socketID', socketID).name} has stopped spectating the game.`);
-    game.deletePersonFrom('spectators', socketID);
-    io.in(roomCode).emit('updateSpectatorsList', game.spectators);
+  function disconnectSpectator(spectator) {
+    log.info('spectator disconnected');
+    updateServerChat(`${spectator.name} has stopped spectating the game.`);
+    spectator.disconnected = true;
+    removeUnlessReconnected('spectators', spectator);
+    syncGame();
   }
 
   /**
-   * @param {string} socketID
+   * A started game keeps the player's seat until it ends, the lobby only for a while
+   * @param {Player} player
    */
-  function disconnectPlayer(socketID) {
-    updateServerChat(`${game.getPlayer('socketID', socketID).name} has disconnected.`);
-    if (game.isStarted) {
-      game.getPlayer('socketID', socketID).disconnected = true;
-    } else {
-      game.deletePersonFrom('players', socketID);
-    }
+  function disconnectPlayer(player) {
+    log.info('player disconnected');
+    updateServerChat(`${player.name} has disconnected.`);
+    player.disconnected = true;
+    if (!game.isStarted) removeUnlessReconnected('players', player);
+  }
+
+  /**
+   * @param {string} arrayName - 'players' or 'spectators'
+   * @param {Player} person
+   */
+  function removeUnlessReconnected(arrayName, { socketID }) {
+    setTimeout(() => inRoom('reconnectTimeout', () => {
+      const person = game[arrayName].find(person => person.socketID === socketID && person.disconnected);
+      if (!person || (arrayName === 'players' && game.isStarted)) return;
+
+      log.info('removed after not reconnecting', { person: person.name });
+      game.deletePersonFrom(arrayName, socketID);
+      delete game.reconnectRequests[person.name];
+      if (shouldAssignNextHost()) assignNextHost();
+      updateLobbyStatus();
+      syncGame();
+    }), RECONNECT_TIMEOUT);
   }
 
   function gameRoomCleanUp() {
     if (game.players.length > 0 && game.players.some(player => !player.disconnected)) return;
 
-    console.log(`all players disconnected from room ${roomCode}`);
+    log.info('all players disconnected');
     io.in(roomCode).emit('windowReload');
-    game.deleteRoomTimeout = setTimeout(function () {
-      console.log(`no activity for 5 minutes, deleting room ${roomCode}`);
-      delete Rooms[roomCode];
-    }, 300000);
+    scheduleRoomDeletion(game);
   }
 
-  if (reconnect) {
-    console.log(`\nreconnecting ${playerName} to room ${roomCode}`)
-    let player = game.getPlayer('name', playerName);
-    player.reconnect(socket.id);
+  if (reconnect) inRoom('reconnect', () => {
+    log.info('reconnecting');
+    const player = game.getPlayer('name', playerName);
+    (player || game.getSpectator('name', playerName)).reconnect(socket.id);
 
     socket.join(roomCode);
     updateServerChat(`${playerName} has reconnected.`);
-    socket.emit('startGame', { startGame: true, playerName, roomCode, reconnect: true });
-    socket.emit('initChat', { msgs: game.chat, showMsgInput: true });
-    socket.emit('setRoleList', game.roleList);
-    updatePlayerCards();
-
-    let currentQuest = game.getCurrentQuest();
-    socket.emit('updateSpectatorsList', game.spectators);
-    socket.emit('initQuests', game.quests);
-    socket.emit('updateGameStatus', game.gameState['gameStatusMsg']);
-    socket.emit('updateVoteTrack', currentQuest.voteTrack);
-
-    if (game.winningTeam !== null) {
-      socket.emit('showLobbyBtn', true);
-    }
-
-    if (game.gameState['showAcceptOrRejectTeamBtns'] && !player.voted) {
-      socket.emit('showAcceptOrRejectTeamBtns', true);
-    } else if (currentQuest.teamVotesNeededLeft <= 0) {
-      socket.emit('revealVoteResults', { type: 'team', votes: currentQuest.acceptOrRejectTeam });
-    }
-
-    if (game.gameState['showSucceedOrFailQuestBtns'] && !player.voted) {
-      showSucceedAndFailBtnsToPlayersOnQuest();
-    } else if (currentQuest.questVotesNeededLeft <= 0) {
-      socket.emit('revealVoteResults', { type: 'quest', votes: currentQuest.votes });
+    if (game.isStarted) {
+      socket.emit('startGame', { startGame: true, playerName, roomCode, reconnect: true });
+    } else {
+      socket.emit('goToLobby', { playerName, roomCode });
     }
+    socket.emit('initChat', { msgs: game.chat, showMsgInput: Boolean(player) });
 
-    if (currentQuest.leaderInfo.name === playerName && !currentQuest.leaderHasConfirmedTeam) {
-      currentQuest.leaderInfo.socketID = socket.id;
-      socket.emit('showAddRemovePlayerBtns', true);
-      socket.emit('showConfirmTeamBtnToLeader', false);
-    }
-    if (currentQuest.leaderInfo.name === playerName && currentQuest.playersNeededLeft <= 0 && !currentQuest.leaderHasConfirmedTeam) {
-      socket.emit('showConfirmTeamBtnToLeader', true);
-    }
-    if (game.questSuccesses >= 3 && game.winningTeam === null && player.role === 'Assassin') {
-      socket.emit('updateGameStatus', `You are the assassin. <br/> 
-                  Assassinate the player you think is Merlin to win the game for evil.`);
-      socket.emit('showAssassinateBtn', true);
+    if (player && game.isStarted) {
+      const { leaderInfo } = game.getCurrentQuest();
+      if (leaderInfo.name === playerName) {
+        leaderInfo.socketID = socket.id;
+      }
     }
-  }
+    //the snapshot restores everything else, including the actions the player was in the middle of
+    syncGame();
+  });
 }
\ No newline at end of file
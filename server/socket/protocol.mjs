@@ -0,0 +1,237 @@
+/**
+ * The socket events clients can send, and the payload each one has to have.
+ * Handlers are registered with on(), so they only ever see payloads that match their schema.
+ */
+
+import { logger } from '../logger.mjs';
+import { isRateLimited } from './rateLimits.mjs';
+import { Roles, getSpecialRoleNames } from '../game/roles.mjs';
+
+// bump this (and PROTOCOL_VERSION in src/protocol.js) whenever an event or payload changes, in either direction
+export const PROTOCOL_VERSION = 7;
+
+// codes sent with protocolError, so the client can tell an outdated page from a bad payload
+export const ProtocolErrors = {
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  RATE_LIMITED: 'RATE_LIMITED'
+};
+
+/**
+ * A schema declares:
+ * @property {string} type - 'string', 'integer', 'number', 'boolean', 'array' or 'object'
+ * @property {boolean} nullable - null is also allowed
+ * @property {array} enum - The only values allowed
+ * @property {number} minLength, maxLength - For strings
+ * @property {RegExp} pattern - For strings
+ * @property {number} min, max - For numbers
+ * @property {Object} items - Schema of each item, for arrays
+ * @property {number} minItems, maxItems - For arrays
+ * @property {Object} properties - Schema of each property, for objects with known keys (all are required)
+ * @property {Object} values - Schema of each value, for objects used as a map (ex: how many of each role)
+ * @property {Object} keys - Schema of each key, for maps
+ * @property {number} maxKeys - For maps
+ * @property {array} oneOf - Schemas the value can match instead
+ */
+const Name = { type: 'string', minLength: 1, maxLength: 20 };
+const RoomCode = { oneOf: [{ type: 'integer', min: 1, max: 9999 }, { type: 'string', pattern: /^\d{1,4}$/ }] };
+const SessionToken = { type: 'string', nullable: true, pattern: /^[0-9a-f]{32}$/ };
+//the session token is null unless the client is reconnecting to a seat it had in the room
+const RoomClick = { type: 'object', properties: { roomCode: RoomCode, playerName: Name, sessionToken: SessionToken } };
+//only roles & special role options from the registry in roles.mjs
+const RoleName = { type: 'string', enum: Object.keys(Roles) };
+const SpecialRoleName = { type: 'string', enum: getSpecialRoleNames() };
+
+// payload schemas of each client→server event, one per argument
+const ClientEvents = {
+  createRoom: [Name],
+  joinRoom: [RoomClick],
+  spectateRoom: [RoomClick],
+  windowReload: [],
+  approveReconnect: [Name, { type: 'boolean' }],
+  updateChat: [{
+    type: 'object',
+    properties: {
+      msg: { type: 'string', minLength: 1, maxLength: 500 },
+      time: { type: 'string', maxLength: 10 }
+    }
+  }],
+  createBot: [],
+  updateMode: [{ type: 'string', enum: ['Avalon', 'Resistance'] }],
+  updateSpecialRoles: [{ type: 'array', items: SpecialRoleName, maxItems: 20 }],
+  updateCustomRoles: [{
+    type: 'object',
+    nullable: true,
+    keys: RoleName,
+    values: { type: 'integer', min: 0, max: 12 },
+    maxKeys: 30
+  }],
+  updateCustomQuests: [{
+    type: 'array',
+    nullable: true,
+    minItems: 5,
+    maxItems: 5,
+    items: {
+      type: 'object',
+      properties: { teamSize: { type: 'integer', min: 1, max: 12 }, needsTwoFails: { type: 'boolean' } }
+    }
+  }],
+  updateHouseRules: [{ type: 'object', values: { type: 'boolean' }, maxKeys: 10 }],
+  updateLancelotVariant: [{ type: 'integer', enum: [1, 2] }],
+  updateExpansions: [{
+    type: 'array',
+    items: { type: 'string', enum: ['Lady of the Lake', 'Excalibur', 'Targeting', 'Plot Cards'] },
+    maxItems: 4
+  }],
+  startGame: [],
+  targetQuest: [{ type: 'integer', min: 1, max: 5 }],
+  addRemovePlayerFromQuest: [{ type: 'string', enum: ['add', 'remove'] }, Name],
+  leaderHasConfirmedTeam: [{ ...Name, nullable: true }],
+  givePlotCard: [Name],
+  overhearConversation: [Name],
+  playerAcceptsOrRejectsTeam: [{ type: 'string', enum: ['accept', 'reject'] }],
+  questVote: [{ type: 'string', enum: ['succeed', 'fail'] }],
+  useExcalibur: [{ ...Name, nullable: true }],
+  ladyOfTheLakeInspect: [Name],
+  tricksterShowsTeam: [{ type: 'string', enum: ['Good', 'Evil'] }],
+  assassinatePlayer: [Name],
+  resetGame: [],
+  getReplay: [{ type: 'string', pattern: /^[0-9a-f]{16}$/ }],
+  //checked against the format of game records by readGameRecord
+  importGameRecord: [{ type: 'object' }]
+};
+
+/**
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path - Where the value is in the payload, for error messages
+ * @returns {string} what is wrong with the value, or an empty string if it matches the schema
+ */
+export function validate(schema, value, path = 'payload') {
+  if (schema.oneOf) {
+    return schema.oneOf.some(option => !validate(option, value, path)) ? '' : `${path} is not valid`;
+  }
+  if (value === null || value === undefined) {
+    return schema.nullable && value === null ? '' : `${path} is required`;
+  }
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be a string`;
+      if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} is too short`;
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is too long`;
+      if (schema.pattern && !schema.pattern.test(value)) return `${path} is not valid`;
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a number`;
+      if (schema.type === 'integer' && !Number.isInteger(value)) return `${path} must be a whole number`;
+      if (schema.min !== undefined && value < schema.min) return `${path} must be at least ${schema.min}`;
+      if (schema.max !== undefined && value > schema.max) return `${path} must be at most ${schema.max}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${path} must be true or false`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `${path} must be a list`;
+      if (schema.minItems !== undefined && value.length < schema.minItems) return `${path} has too few items`;
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} has too many items`;
+      for (const [i, item] of value.entries()) {
+        const error = validate(schema.items, item, `${path}[${i}]`);
+        if (error) return error;
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+      if (schema.properties) {
+        for (const key of Object.keys(value)) {
+          if (!schema.properties.hasOwnProperty(key)) return `${path}.${key} is not expected`;
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+          const error = validate(propertySchema, value[key], `${path}.${key}`);
+          if (error) return error;
+        }
+      }
+      if (schema.values) {
+        const keys = Object.keys(value);
+        if (schema.maxKeys !== undefined && keys.length > schema.maxKeys) return `${path} has too many keys`;
+        for (const key of keys) {
+          const error = (schema.keys && validate(schema.keys, key, `${path}.${key}`)) ||
+            validate(schema.values, value[key], `${path}.${key}`);
+          if (error) return error;
+        }
+      }
+      break;
+  }
+  if (schema.enum && !schema.enum.includes(value)) return `${path} must be one of ${schema.enum.join(', ')}`;
+  return '';
+}
+
+/**
+ * @param {Object} socket
+ * @param {string} code - One of ProtocolErrors
+ * @param {string} event - The event that was rejected
+ * @param {string} message
+ */
+function rejectEvent(socket, code, event, message) {
+  logger.warn('protocol error', { socket: socket.id, event, code, error: message });
+  socket.emit('protocolError', { code, event, message });
+}
+
+/**
+ * Register a handler for a client→server event, which is only called when the payload matches the event's schema
+ * and the socket isn't over the event's rate limit (see rateLimits.mjs)
+ * @param {Object} socket
+ * @param {string} event - One of ClientEvents
+ * @param {function} handler
+ */
+export function on(socket, event, handler) {
+  const schemas = ClientEvents[event];
+  if (!schemas) throw new Error(`'${event}' is not a client event in the socket protocol`);
+
+  socket.on(event, (...args) => {
+    if (isRateLimited(socket, event)) {
+      const message = 'You are doing that too often. Please wait a moment and try again.';
+      return socket.emit('protocolError', { code: ProtocolErrors.RATE_LIMITED, event, message });
+    }
+    if (args.length > schemas.length) {
+      return rejectEvent(socket, ProtocolErrors.INVALID_PAYLOAD, event, `${event} takes ${schemas.length} argument(s)`);
+    }
+    for (const [i, schema] of schemas.entries()) {
+      const error = validate(schema, args[i], schemas.length > 1 ? `argument ${i + 1}` : 'payload');
+      if (error) return rejectEvent(socket, ProtocolErrors.INVALID_PAYLOAD, event, error);
+    }
+    handler(...args);
+  });
+}
+
+/**
+ * Clients send their protocol version when they connect; an outdated page is told to reload, then disconnected
+ * @param {Object} socket
+ * @returns {boolean} whether the client speaks this version of the protocol
+ */
+export function acceptsProtocolVersion(socket) {
+  const version = Number(socket.handshake.query.protocolVersion);
+  if (version === PROTOCOL_VERSION) {
+    rejectUnknownEvents(socket);
+    return true;
+  }
+
+  const message = 'This page is out of date. Please reload it to keep playing.';
+  logger.info('disconnecting outdated client', { socket: socket.id, version, serverVersion: PROTOCOL_VERSION });
+  socket.emit('protocolError', { code: ProtocolErrors.UNSUPPORTED_VERSION, event: 'connection', message });
+  //pages from before the protocol was versioned only know updateErrorMsg
+  socket.emit('updateErrorMsg', `Error: ${message}`);
+  socket.disconnect(true);
+  return false;
+}
+
+/**
+ * @param {Object} socket
+ */
+function rejectUnknownEvents(socket) {
+  socket.use(([event], next) => {
+    if (ClientEvents.hasOwnProperty(event)) return next();
+    rejectEvent(socket, ProtocolErrors.UNKNOWN_EVENT, String(event), `'${event}' is not part of the protocol`);
+  });
+}
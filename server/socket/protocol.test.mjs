@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { on, validate, ProtocolErrors } from './protocol.mjs';
+
+let nextSocketId = 1;
+
+/**
+ * @param {string} event - One of ClientEvents
+ * @param {array} args - What the client sends
+ * @returns {Object} { handled: the arguments the handler was called with, or null, errors: protocolErrors sent back }
+ */
+function send(event, ...args) {
+  const handlers = {};
+  const errors = [];
+  const socket = {
+    id: `socket${nextSocketId++}`,
+    handshake: { headers: {}, query: {}, address: '10.0.0.1' },
+    on: (name, handler) => handlers[name] = handler,
+    emit: (name, error) => name === 'protocolError' && errors.push(error)
+  };
+  let handled = null;
+  on(socket, event, (...received) => handled = received);
+  handlers[event](...args);
+  return { handled, errors };
+}
+
+test('custom roles are only accepted for roles the server knows', () => {
+  const customRoles = { 'Merlin': 1, 'Assassin': 1, 'Loyal Servant of Arthur': 2, 'Minion of Mordred': 1 };
+  assert.deepEqual(send('updateCustomRoles', customRoles).handled, [customRoles]);
+  assert.deepEqual(send('updateCustomRoles', null).handled, [null]);
+
+  const { handled, errors } = send('updateCustomRoles', { 'Merlin': 1, 'foo': 1 });
+  assert.equal(handled, null);
+  assert.equal(errors[0].code, ProtocolErrors.INVALID_PAYLOAD);
+  assert.match(errors[0].message, /payload\.foo must be one of/);
+});
+
+test('special roles are only accepted for options the server knows', () => {
+  assert.deepEqual(send('updateSpecialRoles', ['Percival', 'Lancelot']).handled, [['Percival', 'Lancelot']]);
+
+  const { handled, errors } = send('updateSpecialRoles', ['Percival', 'Sir Not Appearing']);
+  assert.equal(handled, null);
+  assert.match(errors[0].message, /payload\[1\] must be one of/);
+});
+
+test('payloads with the wrong type or too many arguments are refused', () => {
+  assert.equal(send('questVote', 'abstain').errors[0].code, ProtocolErrors.INVALID_PAYLOAD);
+  assert.equal(send('startGame', 'now').errors[0].message, 'startGame takes 0 argument(s)');
+  assert.deepEqual(send('addRemovePlayerFromQuest', 'add', 'Player 1').handled, ['add', 'Player 1']);
+  assert.match(send('addRemovePlayerFromQuest', 'add').errors[0].message, /argument 2 is required/);
+});
+
+test('objects with known keys refuse missing and extra keys', () => {
+  const schema = { type: 'object', properties: { name: { type: 'string' } } };
+  assert.equal(validate(schema, { name: 'Player 1' }), '');
+  assert.equal(validate(schema, {}), 'payload.name is required');
+  assert.equal(validate(schema, { name: 'Player 1', role: 'Merlin' }), 'payload.role is not expected');
+});
@@ -0,0 +1,104 @@
+/**
+ * How often each socket, and each IP address, can send the events that are the easiest to abuse.
+ * Counted in each server process separately
+ */
+
+import crypto from 'crypto';
+import { isGameAction } from '../game/phases.mjs';
+import { logger } from '../logger.mjs';
+
+// events allowed in each window of ms, for one socket & for all the sockets of one IP address
+const RateLimits = {
+  createRoom: { perSocket: 3, perIP: 10, windowMs: 60000 },
+  createBot: { perSocket: 10, perIP: 30, windowMs: 60000 },
+  getReplay: { perSocket: 10, perIP: 30, windowMs: 60000 },
+  importGameRecord: { perSocket: 10, perIP: 30, windowMs: 60000 },
+  chat: { perSocket: 5, perIP: 20, windowMs: 5000 },
+  gameAction: { perSocket: 20, perIP: 100, windowMs: 10000 }
+};
+
+// bots are run by the server itself, so the IP limits would only ever hold back bots of busy rooms.
+// Only the bots of this process know the key they connect with (see GameBot)
+export const BOT_KEY = crypto.randomBytes(16).toString('hex');
+
+// events counted in each window, by socket ID or IP address & limit
+const windows = new Map();
+
+//windows that are over are forgotten, so sockets that are gone don't stay in memory
+setInterval(() => {
+  const now = Date.now();
+  windows.forEach((window, key) => {
+    if (window.endsAt <= now) windows.delete(key);
+  });
+}, 60000).unref();
+
+/**
+ * @param {string} event - One of ClientEvents
+ * @returns {string} the limit the event counts towards (see RateLimits), or undefined if it isn't limited
+ */
+function limitOf(event) {
+  if (RateLimits.hasOwnProperty(event)) return event;
+  if (event === 'updateChat') return 'chat';
+  if (isGameAction(event)) return 'gameAction';
+}
+
+/**
+ * Behind a proxy (ex: the load balancer of several server processes), set TRUST_PROXY=true to use the address it forwards
+ * @param {Object} socket
+ * @returns {string}
+ */
+export function clientAddress(socket) {
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY === 'true' && forwardedFor) return forwardedFor.split(',')[0].trim();
+  return socket.handshake.address;
+}
+
+/**
+ * Clients behind a proxy on the same host also connect from a loopback address, so that isn't enough to tell
+ * @param {Object} socket
+ * @returns {boolean} whether the socket is one of this process's bots
+ */
+function isServerBot(socket) {
+  return socket.handshake.query.botKey === BOT_KEY;
+}
+
+/**
+ * @param {string} key
+ * @param {number} max
+ * @param {number} windowMs
+ * @returns {boolean} whether the event is over the limit, once counted
+ */
+function countEvent(key, max, windowMs) {
+  const now = Date.now();
+  let window = windows.get(key);
+  if (!window || window.endsAt <= now) {
+    window = { count: 0, endsAt: now + windowMs };
+    windows.set(key, window);
+  }
+  window.count++;
+  return window.count > max;
+}
+
+/**
+ * Counts the event, even if it is then refused
+ * @param {Object} socket
+ * @param {string} event - One of ClientEvents
+ * @returns {boolean} whether the socket has to wait before sending the event again
+ */
+export function isRateLimited(socket, event) {
+  const limit = limitOf(event);
+  if (!limit) return false;
+
+  const { perSocket, perIP, windowMs } = RateLimits[limit];
+  const address = clientAddress(socket);
+  const socketLimited = countEvent(`socket:${socket.id}:${limit}`, perSocket, windowMs);
+  const ipLimited = !isServerBot(socket) && countEvent(`ip:${address}:${limit}`, perIP, windowMs);
+  if (!socketLimited && !ipLimited) return false;
+
+  //only the first refusal of each window is logged, so flooding the server doesn't flood the logs too
+  const { count } = windows.get(socketLimited ? `socket:${socket.id}:${limit}` : `ip:${address}:${limit}`);
+  if (count === (socketLimited ? perSocket : perIP) + 1) {
+    logger.warn('rate limited', { socket: socket.id, address, event, limit, per: socketLimited ? 'socket' : 'ip' });
+  }
+  return true;
+}
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isRateLimited, BOT_KEY } from './rateLimits.mjs';
+
+let nextSocketId = 1;
+
+/**
+ * @param {string} address
+ * @param {Object} query - Sent by the client when it connected
+ * @returns {Object} a socket connected from the address
+ */
+function socketFrom(address, query = {}) {
+  return { id: `socket${nextSocketId++}`, handshake: { headers: {}, query, address } };
+}
+
+test('clients from a loopback address share the IP limits', () => {
+  //ex: everyone connecting through a proxy on the same host
+  const limited = [];
+  for (let i = 0; i < 11; i++) limited.push(isRateLimited(socketFrom('127.0.0.1'), 'createRoom'));
+  assert.deepEqual(limited, [...Array(10).fill(false), true]);
+});
+
+test("only this process's bots are left out of the IP limits", () => {
+  const limited = [];
+  for (let i = 0; i < 40; i++) limited.push(isRateLimited(socketFrom('::1', { botKey: BOT_KEY }), 'createBot'));
+  assert.equal(limited.includes(true), false);
+
+  const guessed = [];
+  for (let i = 0; i < 31; i++) guessed.push(isRateLimited(socketFrom('::1', { botKey: 'guessed' }), 'createBot'));
+  assert.equal(guessed[30], true);
+});
+
+test('each socket has its own limit too', () => {
+  const socket = socketFrom('10.0.0.2', { botKey: BOT_KEY });
+  assert.deepEqual([1, 2, 3, 4].map(() => isRateLimited(socket, 'createRoom')), [false, false, false, true]);
+});
@@ -0,0 +1,30 @@
+import { rooms } from '../app.mjs';
+import { on } from './protocol.mjs';
+import { readGameRecord } from '../game/gameRecord.mjs';
+
+/**
+ * Replays of finished games, and uploaded game records, can be watched from any page without being in a room
+ * @param {Object} socket
+ */
+export function replaySocket(socket) {
+  /**
+   * @param {string} id - ID of the replay, given to the room when its game ended
+   */
+  on(socket, 'getReplay', async function (id) {
+    const replay = await rooms.loadReplay(id);
+    if (!replay) {
+      return socket.emit('updateErrorMsg', `Error: Replay '${id}' does not exist.`);
+    }
+    socket.emit('replay', replay);
+  });
+
+  /**
+   * A record downloaded at the end of a game, uploaded to be watched like a replay
+   * @param {Object} upload - See gameRecord.mjs
+   */
+  on(socket, 'importGameRecord', function (upload) {
+    const { record, error } = readGameRecord(upload);
+    if (error) return socket.emit('updateErrorMsg', `Error: ${error}`);
+    socket.emit('replay', record);
+  });
+}
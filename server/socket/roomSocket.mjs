@@ -1,6 +1,11 @@
-import { Rooms } from '../app.mjs';
+import { rooms } from '../app.mjs';
 import Game from '../game/game.mjs';
-import { sanitizeTeamView } from '../game/utility.mjs';
+import { on } from './protocol.mjs';
+import { syncRoom } from './gameSocket.mjs';
+import { logger } from '../logger.mjs';
+
+// random codes tried before giving up, which only happens when nearly every code is taken
+const ROOM_CODE_ATTEMPTS = 50;
 
 /**
  * @param {Object} io
@@ -12,159 +17,193 @@ export async function handleRoomClick(io, socket) {
     /**
      * @param {string} playerName
      */
-    socket.on('createRoom', function (playerName) {
+    on(socket, 'createRoom', async function (playerName) {
       if (!nameIsProperLength(playerName)) {
         return socket.emit('updateErrorMsg', 'Error: Name must be between 1-20 characters.');
       };
 
-      const roomCode = generateRoomCode();
-      Rooms[roomCode] = new Game(roomCode);
-      Rooms[roomCode].addPerson({ type: 'player', socketID: socket.id, name: playerName, isRoomHost: true });
-
-      socket.join(roomCode);
-      socket.emit('goToLobby', { playerName, roomCode });
-      socket.emit('initChat', { msgs: Rooms[roomCode].chat, showMsgInput: true });
-      socket.emit('updatePlayerCards', Rooms[roomCode].players);
-      socket.emit('showSetupOptionsBtn', true);
-      updateGameStatus(io, roomCode, `Waiting for ${5 - Rooms[roomCode].players.length} more player(s) to join.`);
-      resolve({ playerName, roomCode });
+      if (await rooms.count() >= maxRooms()) {
+        logger.warn('room limit reached', { player: playerName, event: 'createRoom', maxRooms: maxRooms() });
+        return socket.emit('updateErrorMsg', 'Error: The server has too many rooms open right now. Please try again later.');
+      }
+      const roomCode = await createRoom();
+      if (roomCode === null) {
+        logger.warn('no free room code', { player: playerName, event: 'createRoom' });
+        return socket.emit('updateErrorMsg', 'Error: No room codes are free right now. Please try again later.');
+      }
+      rooms.withRoom(roomCode, game => {
+        game.addPerson({ type: 'player', socketID: socket.id, name: playerName, isRoomHost: true });
+
+        logger.info('room created', { roomCode, player: playerName, event: 'createRoom', phase: game.phase, socket: socket.id });
+        socket.join(roomCode);
+        sendSessionToken(socket, roomCode, game.getPlayer('socketID', socket.id));
+        socket.emit('goToLobby', { playerName, roomCode });
+        socket.emit('initChat', { msgs: game.chat, showMsgInput: true });
+        updateGameStatus(game, `Waiting for ${game.playersNeeded()} more player(s) to join.`);
+        resolve({ playerName, roomCode });
+      });
     });
 
-    socket.on('joinRoom', function (data) {
+    on(socket, 'joinRoom', function (data) {
       const { playerName, roomCode } = data;
 
-      if (isPlayerReconnect(roomCode, playerName)) {
-        clearTimeout(Rooms[roomCode].deleteRoomTimeout);
-        return resolve({ ...data, reconnect: true });
-      }
-      if (!isValidInput(socket, roomCode, playerName)) return;
-      clearTimeout(Rooms[roomCode].deleteRoomTimeout);
-
-      socket.join(roomCode);
-      socket.emit('goToLobby', { playerName, roomCode });
-      socket.emit('initChat', { msgs: Rooms[roomCode].chat, showMsgInput: true });
-      const msg = Rooms[roomCode].addPerson({ type: 'player', socketID: socket.id, name: playerName, isRoomHost: false });
-      io.to(roomCode).emit('updateChat', msg);
-      io.in(roomCode).emit('updatePlayerCards', Rooms[roomCode].players);
-      io.in(roomCode).emit('updateSpectatorsList', Rooms[roomCode].spectators);
-      io.in(roomCode).emit('updateSpecialRoles', Rooms[roomCode].specialRoles);
-      updateGameStatus(io, roomCode, `Waiting for ${5 - Rooms[roomCode].players.length} more player(s) to join.`);
-
-      if (Rooms[roomCode].players.length >= 5) {
-        const host = Rooms[roomCode].getPlayer('isRoomHost', true);
-        io.to(host.socketID).emit('showStartGameBtn', true);
-        updateGameStatus(io, roomCode, `Waiting for ${host.name} to start the game.`);
-      }
-      resolve(data);
+      rooms.withRoom(roomCode, game => {
+        const seat = game && game.getPlayer('name', playerName);
+        if (seat && isReconnect(seat, data)) return reconnect(game, data, seat, 'joinRoom');
+        if (!isValidInput(socket, game, roomCode, playerName)) return;
+        clearTimeout(game.deleteRoomTimeout);
+
+        logger.info('player joined', { roomCode, player: playerName, event: 'joinRoom', phase: game.phase, socket: socket.id });
+        socket.join(roomCode);
+        socket.emit('goToLobby', { playerName, roomCode });
+        socket.emit('initChat', { msgs: game.chat, showMsgInput: true });
+        const msg = game.addPerson({ type: 'player', socketID: socket.id, name: playerName, isRoomHost: false });
+        sendSessionToken(socket, roomCode, game.getPlayer('socketID', socket.id));
+        io.to(roomCode).emit('updateChat', msg);
+        updateGameStatus(game, `Waiting for ${game.playersNeeded()} more player(s) to join.`);
+
+        if (game.hasEnoughPlayers()) {
+          const host = game.getPlayer('isRoomHost', true);
+          updateGameStatus(game, `Waiting for ${host.name} to start the game.`);
+        }
+        resolve(data);
+      });
     });
 
-    socket.on('spectateRoom', function (data) {
+    on(socket, 'spectateRoom', function (data) {
       const { playerName, roomCode } = data;
-      if (!isValidInput(socket, roomCode, playerName, true)) return;
-
-      clearTimeout(Rooms[roomCode].deleteRoomTimeout);
-      socket.join(roomCode);
-      socket.emit('goToLobby', { playerName, roomCode });
-      socket.emit('initChat', { msgs: Rooms[roomCode].chat, showMsgInput: false });
-      socket.emit('updateGameStatus', Rooms[roomCode].gameState['gameStatusMsg']);
-      const msg = Rooms[roomCode].addPerson({ type: 'spectator', socketID: socket.id, name: playerName, isRoomHost: false });
-      io.in(roomCode).emit('updateChat', msg);
-      io.in(roomCode).emit('updateSpectatorsList', Rooms[roomCode].spectators);
-      io.in(roomCode).emit('updateSpecialRoles', Rooms[roomCode].specialRoles);
-
-      if (Rooms[roomCode].isStarted) {
-        emitGameStartedStuff(socket, playerName, roomCode);
-      }
-      if (Rooms[roomCode].winningTeam !== null) {
-        socket.emit('updatePlayerCards', Rooms[roomCode].players);
-      } else {
-        socket.emit('updatePlayerCards', sanitizeTeamView(socket.id, 'Spectator', Rooms[roomCode].players));
-      }
-      resolve(data);
+
+      rooms.withRoom(roomCode, game => {
+        const seat = game && game.getSpectator('name', playerName);
+        if (seat && isReconnect(seat, data)) return reconnect(game, data, seat, 'spectateRoom');
+        if (!isValidInput(socket, game, roomCode, playerName, true)) return;
+
+        clearTimeout(game.deleteRoomTimeout);
+        logger.info('spectator joined', { roomCode, player: playerName, event: 'spectateRoom', phase: game.phase, socket: socket.id });
+        socket.join(roomCode);
+        socket.emit('goToLobby', { playerName, roomCode });
+        socket.emit('initChat', { msgs: game.chat, showMsgInput: false });
+        const msg = game.addPerson({ type: 'spectator', socketID: socket.id, name: playerName, isRoomHost: false });
+        sendSessionToken(socket, roomCode, game.getSpectator('socketID', socket.id));
+        io.in(roomCode).emit('updateChat', msg);
+
+        if (game.isStarted) {
+          socket.emit('startGame', { startGame: true, playerName, roomCode });
+        }
+        resolve(data);
+      });
     });
+
+    /**
+     * Only the browser the person was given their session token in can take their place back,
+     * anyone else has to wait for the host to approve it
+     * @param {Game} game
+     * @param {Object} data - Room code, name & session token sent by the client
+     * @param {Player} person - The player or spectator to reconnect as
+     * @param {string} action - 'joinRoom' or 'spectateRoom'
+     */
+    function reconnect(game, { roomCode, playerName, sessionToken }, person, action) {
+      const fields = { roomCode, player: playerName, event: action, phase: game.phase, socket: socket.id };
+      if (!person.hasSessionToken(sessionToken)) {
+        logger.info('reconnect waiting for the host', fields);
+        game.reconnectRequests[playerName] = { socketID: socket.id, action };
+        syncRoom(io, game);
+        return socket.emit('updateErrorMsg', `${playerName} disconnected from this room. Waiting for the host to let you reconnect as them.`);
+      }
+
+      //bots restored after a restart reconnect on their own, only people coming back keep the room from being deleted
+      if (!game.botNames.has(playerName)) clearTimeout(game.deleteRoomTimeout);
+      delete game.reconnectRequests[playerName];
+      logger.info('reconnected with session token', fields);
+      resolve({ roomCode, playerName, reconnect: true });
+    }
   });
 }
 
 /**
- * @returns {number}
+ * A disconnected person can reconnect (or ask the host to let them), and their session token also takes their place
+ * back from a connection that was lost without the room knowing (ex: the server process it was on stopped)
+ * @param {Player} person
+ * @param {Object} data - Room code, name & session token sent by the client
+ * @returns {boolean}
  */
-function generateRoomCode() {
-  let roomCode = Math.floor(Math.random() * 9999) + 1;
-  while (Rooms.hasOwnProperty(roomCode)) {
-    console.log(`collision with roomCode ${roomCode}`)
-    roomCode = Math.floor(Math.random() * 9999) + 1;
-  }
-  console.log(`\ngenerating new room code ${roomCode}`)
-  return roomCode;
+function isReconnect(person, { sessionToken }) {
+  return person.disconnected || person.hasSessionToken(sessionToken);
 }
 
 /**
- * @param {Object} io 
- * @param {number} roomCode 
- * @param {string} msg 
+ * Set with MAX_ROOMS in .env. Room codes are 1-9999, so there can't be more rooms than that
+ * @returns {number}
  */
-function updateGameStatus(io, roomCode, msg) {
-  Rooms[roomCode].gameState['gameStatusMsg'] = msg;
-  io.in(roomCode).emit('updateGameStatus', msg);
+function maxRooms() {
+  return Math.min(Number(process.env.MAX_ROOMS) || 1000, 9999);
 }
 
 /**
- * @param {Object} socket 
- * @param {string} playerName 
- * @param {number} roomCode 
+ * @returns {Promise} the room code of a new room, or null if no free code was found
  */
-function emitGameStartedStuff(socket, playerName, roomCode) {
-  socket.emit('startGame', { startGame: true, playerName, roomCode });
-  socket.emit('setRoleList', Rooms[roomCode].roleList);
-
-  let { voteTrack, teamVotesNeededLeft, acceptOrRejectTeam } = Rooms[roomCode].getCurrentQuest();
-  socket.emit('initQuests', Rooms[roomCode].quests);
-  socket.emit('updateGameStatus', Rooms[roomCode].gameState['gameStatusMsg']);
-  socket.emit('updateVoteTrack', voteTrack);
-  if (teamVotesNeededLeft <= 0) {
-    socket.emit('revealVoteResults', { type: 'team', votes: acceptOrRejectTeam });
+async function createRoom() {
+  for (let attempt = 0; attempt < ROOM_CODE_ATTEMPTS; attempt++) {
+    const roomCode = Math.floor(Math.random() * 9999) + 1;
+    if (await rooms.create(new Game(roomCode))) return roomCode;
+    logger.debug('room code already taken', { roomCode });
   }
+  return null;
 }
 
 /**
- * @param {number} roomCode 
- * @param {string} playerName 
- * @returns {boolean} 
+ * The room is synced to everyone in it once gameSocket takes over the new socket
+ * @param {Game} game
+ * @param {string} msg 
  */
-function isPlayerReconnect(roomCode, playerName) {
-  let game = Rooms[roomCode];
-  if (game && game.players) {
-    return game.getPlayer('name', playerName) && game.getPlayer('name', playerName).disconnected;
-  }
-  return false;
+function updateGameStatus(game, msg) {
+  game.gameState['gameStatusMsg'] = msg;
+}
+
+/**
+ * The token is only ever sent to the person's own browser, which needs it to reconnect as them
+ * @param {Object} socket
+ * @param {number} roomCode
+ * @param {Player} person
+ */
+function sendSessionToken(socket, roomCode, person) {
+  socket.emit('setSessionToken', { roomCode, playerName: person.name, sessionToken: person.sessionToken });
 }
 
 /**
  * @param {Object} socket 
+ * @param {Game} game - The room, or undefined if it doesn't exist
  * @param {number} roomCode 
  * @param {string} playerName 
  * @param {boolean} isSpectator 
  * @returns {boolean} 
  */
-function isValidInput(socket, roomCode, playerName, isSpectator = false) {
+function isValidInput(socket, game, roomCode, playerName, isSpectator = false) {
   let errorMsg = '';
-  if (!Rooms[roomCode]) {
+  if (!game) {
     errorMsg = `Error: Room '${roomCode}' does not exist.`;
   }
   else if (!nameIsProperLength(playerName)) {
     errorMsg = 'Error: Name must be between 1-20 characters.';
   }
-  else if (Rooms[roomCode].nameIsTaken(playerName)) {
+  else if (game.nameIsTaken(playerName)) {
     errorMsg = `Error: Name '${playerName}' is already taken.`;
   }
-  else if (!isSpectator && Rooms[roomCode].isStarted) {
+  else if (!isSpectator && game.isStarted) {
     errorMsg = 'Error: Cannot join a game that has already started. If you disconnected, enter the same name.';
   }
-  else if (!isSpectator && Rooms[roomCode].players.length >= 10) {
-    errorMsg = `Error: Room '${roomCode}' has reached a capacity of 10.`;
+  else if (!isSpectator && game.players.length >= Game.MAX_PLAYERS) {
+    errorMsg = `Error: Room '${roomCode}' has reached a capacity of ${Game.MAX_PLAYERS}.`;
   }
   if (errorMsg.length > 0) {
-    console.log(errorMsg);
+    logger.info('join refused', {
+      roomCode,
+      player: playerName,
+      event: isSpectator ? 'spectateRoom' : 'joinRoom',
+      phase: game && game.phase,
+      socket: socket.id,
+      error: errorMsg
+    });
     socket.emit('updateErrorMsg', errorMsg);
     return false;
   }
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import Game from '../game/game.mjs';
+import { logger } from '../logger.mjs';
+import { SAVE_FORMAT_VERSION } from './roomStore.mjs';
+
+/**
+ * Saves each room as a JSON file, so games in progress survive a restart of the server.
+ * Replays of finished games are saved in the replays directory inside it
+ */
+export default class FileRoomStore {
+  /**
+   * @param {string} directory - Where the rooms are saved, created if it doesn't exist
+   * @property {Map} pendingSaves - Rooms waiting to be written, by room code. A room changed again before it is written is only written once
+   * @property {Map} queues - Writes & deletes of each room in the order they were asked for, by room code
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    this.replayDirectory = path.join(this.directory, 'replays');
+    this.pendingSaves = new Map();
+    this.queues = new Map();
+    fs.mkdirSync(this.replayDirectory, { recursive: true });
+  }
+
+  /**
+   * @returns {Object} the saved rooms, by room code
+   */
+  loadRooms() {
+    const rooms = {};
+    for (const fileName of fs.readdirSync(this.directory).filter(fileName => fileName.endsWith('.json'))) {
+      try {
+        const { version, game } = JSON.parse(fs.readFileSync(path.join(this.directory, fileName), 'utf8'));
+        if (version !== SAVE_FORMAT_VERSION) {
+          logger.warn('room not restored, saved in another format', { file: fileName, version, serverVersion: SAVE_FORMAT_VERSION });
+          continue;
+        }
+        rooms[game.roomCode] = Game.fromJSON(game);
+      } catch (err) {
+        logger.warn('room not restored', { file: fileName, error: err.message });
+      }
+    }
+    logger.info('rooms restored', { count: Object.keys(rooms).length, directory: this.directory });
+    return rooms;
+  }
+
+  /**
+   * The room is written as it is once the writes before it are done
+   * @param {Game} game
+   */
+  saveRoom(game) {
+    const { roomCode } = game;
+    const isQueued = this.pendingSaves.has(roomCode);
+    this.pendingSaves.set(roomCode, game);
+    if (isQueued) return;
+    this.enqueue(roomCode, () => {
+      const latestGame = this.pendingSaves.get(roomCode);
+      if (!latestGame) return; //deleted since
+      this.pendingSaves.delete(roomCode);
+      return this.writeRoom(latestGame);
+    });
+  }
+
+  /**
+   * @param {number} roomCode
+   */
+  deleteRoom(roomCode) {
+    this.pendingSaves.delete(roomCode);
+    this.enqueue(roomCode, () => fs.promises.unlink(this.filePath(roomCode)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    }));
+  }
+
+  /**
+   * Replays never change once saved, so they are written straight away
+   * @param {Object} replay
+   * @returns {Promise}
+   */
+  async saveReplay(replay) {
+    const filePath = this.replayPath(replay.id);
+    await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(replay));
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise} the replay, or null if there is no replay with that ID
+   */
+  async loadReplay(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.replayPath(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Written to a temporary file first, so a crash while writing can't leave half a room behind
+   * @param {Game} game
+   * @returns {Promise}
+   */
+  async writeRoom(game) {
+    const filePath = this.filePath(game.roomCode);
+    await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify({ version: SAVE_FORMAT_VERSION, game }));
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+  }
+
+  /**
+   * @param {number} roomCode
+   * @param {function} task - Returns a promise, or nothing if there is nothing left to do
+   */
+  enqueue(roomCode, task) {
+    const queue = (this.queues.get(roomCode) || Promise.resolve())
+      .then(task)
+      .catch(err => logger.error('could not save room', { roomCode, error: err.message }));
+    this.queues.set(roomCode, queue);
+    queue.then(() => {
+      if (this.queues.get(roomCode) === queue) this.queues.delete(roomCode);
+    });
+  }
+
+  /**
+   * @param {number} roomCode
+   * @returns {string}
+   */
+  filePath(roomCode) {
+    return path.join(this.directory, `${roomCode}.json`);
+  }
+
+  /**
+   * @param {string} id - Only ever hex digits (see the getReplay event), so it can't point outside the directory
+   * @returns {string}
+   */
+  replayPath(id) {
+    return path.join(this.replayDirectory, `${id}.json`);
+  }
+}
@@ -0,0 +1,105 @@
+import RoomStore from './roomStore.mjs';
+
+/**
+ * The default store: rooms only exist in this process, and are backed up to files to survive a restart
+ */
+export default class MemoryRoomStore extends RoomStore {
+  /**
+   * @param {FileRoomStore} backup
+   * @property {Object} rooms - Every game object, by room code
+   */
+  constructor(backup) {
+    super();
+    this.backup = backup;
+    this.rooms = {};
+  }
+
+  /**
+   * @param {number} roomCode
+   * @returns {Game}
+   */
+  peek(roomCode) {
+    return this.rooms[roomCode];
+  }
+
+  /**
+   * @returns {Promise}
+   */
+  async all() {
+    return Object.values(this.rooms);
+  }
+
+  /**
+   * @returns {array}
+   */
+  local() {
+    return Object.values(this.rooms);
+  }
+
+  /**
+   * @returns {Promise}
+   */
+  async count() {
+    return Object.keys(this.rooms).length;
+  }
+
+  /**
+   * @param {Game} game
+   * @returns {Promise}
+   */
+  async create(game) {
+    if (this.rooms.hasOwnProperty(game.roomCode)) return false;
+    this.rooms[game.roomCode] = game;
+    return true;
+  }
+
+  /**
+   * @param {number} roomCode
+   * @returns {Promise}
+   */
+  async delete(roomCode) {
+    delete this.rooms[roomCode];
+    this.backup.deleteRoom(roomCode);
+  }
+
+  /**
+   * @returns {array} the rooms backed up before the server restarted
+   */
+  restore() {
+    Object.assign(this.rooms, this.backup.loadRooms());
+    return Object.values(this.rooms);
+  }
+
+  /**
+   * Replays are only kept in files, since they aren't needed again until someone asks for one
+   * @param {Object} replay
+   * @returns {Promise}
+   */
+  saveReplay(replay) {
+    return this.backup.saveReplay(replay);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise}
+   */
+  loadReplay(id) {
+    return this.backup.loadReplay(id);
+  }
+
+  /**
+   * @param {number} roomCode
+   * @returns {Promise}
+   */
+  async load(roomCode) {
+    return this.rooms[roomCode];
+  }
+
+  /**
+   * @param {Game} game
+   * @returns {Promise}
+   */
+  async save(game) {
+    this.backup.saveRoom(game);
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Where the server keeps its rooms. Every room store has:
+ * @method peek(roomCode) - The room as this process last saw it, without waiting for the store
+ * @method all() - Promise of every room, only to look at: changes have to be made with withRoom
+ * @method local() - The rooms this process has a copy of, for work each process only does for its own rooms
+ * @method count() - Promise of how many rooms there are
+ * @method create(game) - Promise of whether the new room was added, false if its room code is already taken
+ * @method delete(roomCode) - Promise resolved once the room is deleted
+ * @method withRoom(roomCode, task) - Promise of what task(game) returns, see below
+ * @method restore() - Rooms this process has to bring back after a restart
+ * @method saveReplay(replay) - Promise resolved once the replay of a finished game is saved, for as long as the store keeps its data
+ * @method loadReplay(id) - Promise of the replay, or null if there is no replay with that ID
+ */
+
+import { logger } from '../logger.mjs';
+
+// bump this whenever the saved format of Game, Quest or Player changes, rooms saved in another format aren't restored
+export const SAVE_FORMAT_VERSION = 1;
+
+export default class RoomStore {
+  /**
+   * @property {Object} queues - Tasks of each room in the order they were asked for, by room code
+   */
+  constructor() {
+    this.queues = {};
+  }
+
+  /**
+   * Changes to a room are made one task at a time, with the room up to date with the other server processes.
+   * The task gets the room, or undefined if it doesn't exist, and the room is saved once the task
+   * (and the syncs it asked for) are done. A task can't wait on another task of the same room
+   * @param {number} roomCode
+   * @param {function} task
+   * @returns {Promise}
+   */
+  withRoom(roomCode, task) {
+    return this.enqueue(roomCode, async () => {
+      await this.lock(roomCode);
+      try {
+        const game = await this.load(roomCode);
+        const result = await task(game);
+        await new Promise(resolve => setImmediate(resolve));
+        if (game && this.peek(roomCode) === game) await this.save(game);
+        return result;
+      } finally {
+        await this.unlock(roomCode);
+      }
+    });
+  }
+
+  /**
+   * @param {number} roomCode
+   * @param {function} task
+   * @returns {Promise} what the task returns, or undefined if it failed
+   */
+  enqueue(roomCode, task) {
+    const queue = (this.queues[roomCode] || Promise.resolve())
+      .then(task)
+      .catch(err => logger.error('error in room', { roomCode, error: err.stack }));
+    this.queues[roomCode] = queue;
+    queue.then(() => {
+      if (this.queues[roomCode] === queue) delete this.queues[roomCode];
+    });
+    return queue;
+  }
+
+  /**
+   * @returns {array}
+   */
+  restore() {
+    return [];
+  }
+
+  /**
+   * Only needed by stores shared with other processes
+   * @param {number} roomCode
+   */
+  async lock(roomCode) {}
+
+  /**
+   * @param {number} roomCode
+   */
+  async unlock(roomCode) {}
+}
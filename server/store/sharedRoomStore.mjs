@@ -0,0 +1,174 @@
+import Game from '../game/game.mjs';
+import RoomStore, { SAVE_FORMAT_VERSION } from './roomStore.mjs';
+
+/**
+ * Rooms shared by several server processes through the hub (see cluster/hub.mjs).
+ * Each process keeps its own copy of the rooms its sockets are in, brought up to date before every change
+ */
+export default class SharedRoomStore extends RoomStore {
+  /**
+   * @param {HubClient} hub
+   * @property {Object} rooms - This process's copy of each room, by room code
+   * @property {Object} revisions - Which save of each room this process's copy is, by room code
+   */
+  constructor(hub) {
+    super();
+    this.hub = hub;
+    this.rooms = {};
+    this.revisions = {};
+  }
+
+  /**
+   * @param {number} roomCode
+   * @returns {Game}
+   */
+  peek(roomCode) {
+    return this.rooms[roomCode];
+  }
+
+  /**
+   * Includes the rooms of the other processes, as they were last saved
+   * @returns {Promise}
+   */
+  async all() {
+    const keys = await this.hub.request('keys', { prefix: 'room:' });
+    const savedRooms = await Promise.all(keys.map(key => this.hub.request('get', { key })));
+    return savedRooms
+      .filter(saved => saved !== null)
+      .map(saved => JSON.parse(saved))
+      .filter(({ version }) => version === SAVE_FORMAT_VERSION)
+      .map(({ game }) => Game.fromJSON(game));
+  }
+
+  /**
+   * Only the rooms this process's sockets are in (or were), without asking the hub
+   * @returns {array}
+   */
+  local() {
+    return Object.values(this.rooms);
+  }
+
+  /**
+   * Includes the rooms of the other processes
+   * @returns {Promise}
+   */
+  async count() {
+    const keys = await this.hub.request('keys', { prefix: 'room:' });
+    return keys.length;
+  }
+
+  /**
+   * @param {Game} game
+   * @returns {Promise}
+   */
+  async create(game) {
+    const { roomCode } = game;
+    const created = await this.hub.request('setIfAbsent', { key: roomKey(roomCode), value: serialize(game, 1) });
+    if (created) {
+      this.rooms[roomCode] = game;
+      this.revisions[roomCode] = 1;
+    }
+    return created;
+  }
+
+  /**
+   * @param {number} roomCode
+   * @returns {Promise}
+   */
+  async delete(roomCode) {
+    delete this.rooms[roomCode];
+    delete this.revisions[roomCode];
+    await this.hub.request('del', { key: roomKey(roomCode) });
+  }
+
+  /**
+   * The copy of the room is updated in place, since the sockets in this process hold on to it
+   * @param {number} roomCode
+   * @returns {Promise}
+   */
+  async load(roomCode) {
+    const saved = await this.hub.request('get', { key: roomKey(roomCode) });
+    if (saved === null) {
+      delete this.rooms[roomCode];
+      delete this.revisions[roomCode];
+      return undefined;
+    }
+
+    const { version, revision, game } = JSON.parse(saved);
+    if (version !== SAVE_FORMAT_VERSION) throw new Error(`room ${roomCode} was saved in format ${version}`);
+    if (this.rooms[roomCode] && this.revisions[roomCode] === revision) return this.rooms[roomCode];
+
+    const latestGame = Game.fromJSON(game);
+    if (this.rooms[roomCode]) {
+      //timers only run in the process that set them
+      const { deleteRoomTimeout } = this.rooms[roomCode];
+      Object.assign(this.rooms[roomCode], latestGame, { deleteRoomTimeout });
+    } else {
+      this.rooms[roomCode] = latestGame;
+    }
+    this.revisions[roomCode] = revision;
+    return this.rooms[roomCode];
+  }
+
+  /**
+   * @param {Game} game
+   * @returns {Promise}
+   */
+  async save(game) {
+    const { roomCode } = game;
+    const revision = this.revisions[roomCode] + 1;
+    await this.hub.request('set', { key: roomKey(roomCode), value: serialize(game, revision) });
+    this.revisions[roomCode] = revision;
+  }
+
+  /**
+   * Replays are kept by the hub, as long as it runs
+   * @param {Object} replay
+   * @returns {Promise}
+   */
+  async saveReplay(replay) {
+    await this.hub.request('set', { key: `replay:${replay.id}`, value: JSON.stringify(replay) });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise}
+   */
+  async loadReplay(id) {
+    const saved = await this.hub.request('get', { key: `replay:${id}` });
+    return saved === null ? null : JSON.parse(saved);
+  }
+
+  /**
+   * @param {number} roomCode
+   * @returns {Promise}
+   */
+  lock(roomCode) {
+    return this.hub.request('lock', { key: roomKey(roomCode) });
+  }
+
+  /**
+   * @param {number} roomCode
+   * @returns {Promise}
+   */
+  unlock(roomCode) {
+    return this.hub.request('unlock', { key: roomKey(roomCode) });
+  }
+}
+
+/**
+ * @param {number} roomCode
+ * @returns {string}
+ */
+function roomKey(roomCode) {
+  return `room:${Number(roomCode)}`;
+}
+
+/**
+ * @param {Game} game
+ * @param {number} revision
+ * @returns {string}
+ */
+function serialize(game, revision) {
+  return JSON.stringify({ version: SAVE_FORMAT_VERSION, revision, game });
+}
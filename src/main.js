@@ -9,11 +9,13 @@ import BootstrapVue from "bootstrap-vue";
 import VueSocketIO from 'vue-socket.io-extended';
 import io from 'socket.io-client';
 import VueChatScroll from "vue-chat-scroll";
+import { PROTOCOL_VERSION } from "./protocol";
 
 const ioInstance = io(process.env.VUE_APP_SOCKET_CONNECT_URL, {
   reconnection: true,
   reconnectionDelay: 500,
-  maxReconnectionAttempts: Infinity
+  maxReconnectionAttempts: Infinity,
+  query: { protocolVersion: PROTOCOL_VERSION }
 });
 
 Vue.use(BootstrapVue);
@@ -0,0 +1,2 @@
+// must match PROTOCOL_VERSION in server/socket/protocol.mjs, the server disconnects pages with another version
+export const PROTOCOL_VERSION = 7;
@@ -0,0 +1,186 @@
+// rebuilds the board at each step of a finished game from its log of events (see Game.logEvent on the server)
+
+// why each game over event ended the game
+export const GameOverReasons = {
+  questsSucceeded: "Three quests succeeded.",
+  questsFailed: "Three quests failed.",
+  teamsRejected: "Five teams in a row were rejected.",
+  merlinAssassinated: "The Assassin found Merlin.",
+  merlinSurvived: "The Assassin did not find Merlin."
+};
+
+/**
+ * @param {Object} replay - A game record (see server/game/gameRecord.mjs)
+ * @param {boolean} showRoles - Show every role & secret choice, instead of only what spectators could see
+ * @param {function} teamName - The teamName getter of the store
+ * @returns {array} one frame for each event: { phase, questNum, description, mode, customQuests, players, quests, voteTrack }
+ */
+export function buildReplayFrames(replay, showRoles, teamName) {
+  const board = { mode: null, customQuests: false, players: [], quests: {}, isOver: false };
+  return replay.events.map(event => {
+    const description = applyEvent(board, event, showRoles, team => teamName(team, board.mode));
+    return frameOf(board, event, description, showRoles);
+  });
+}
+
+/**
+ * @param {Object} board
+ * @param {Object} event
+ * @param {string} description
+ * @param {boolean} showRoles
+ * @returns {Object} a copy of the board, as PlayerCards, QuestCards & VoteTrack show it
+ */
+function frameOf(board, { phase, questNum }, description, showRoles) {
+  const quest = board.quests[questNum];
+  return {
+    phase,
+    questNum,
+    description,
+    mode: board.mode,
+    customQuests: board.customQuests,
+    //roles are only public once they are revealed, or the game is over
+    players: board.players.map(player =>
+      showRoles || player.revealed || board.isOver ? { ...player } : { ...player, role: "???", team: "???" }
+    ),
+    quests: JSON.parse(JSON.stringify(board.quests)),
+    voteTrack: quest ? quest.voteTrack : null
+  };
+}
+
+/**
+ * Updates the board like the server did when the event was logged
+ * @param {Object} board
+ * @param {Object} event
+ * @param {boolean} showRoles
+ * @param {function} teamName - Display name of a team in the game's mode
+ * @returns {string} what happened
+ */
+function applyEvent(board, event, showRoles, teamName) {
+  const player = name => board.players.find(player => player.name === name);
+  const quest = board.quests[event.questNum];
+
+  switch (event.type) {
+    case "gameStarted":
+      board.mode = event.settings.mode;
+      board.customQuests = Boolean(event.settings.customQuests);
+      board.players = event.players.map(({ name, role, team }) => ({
+        name,
+        role,
+        team,
+        leader: false,
+        onQuest: false,
+        hasLadyOfTheLake: name === event.ladyOfTheLake,
+        heldLadyOfTheLake: name === event.ladyOfTheLake,
+        hasExcalibur: false,
+        assassinated: false,
+        revealed: false,
+        inspectedBy: null
+      }));
+      board.quests = {};
+      event.quests.forEach(quest => {
+        board.quests[quest.questNum] = { ...quest, success: null, currentQuest: false, voteTrack: 0 };
+      });
+      return `The game started with ${event.players.length} players.`;
+
+    case "leaderChosen":
+      board.players.forEach(player => {
+        player.leader = player.name === event.leader;
+        player.onQuest = false;
+        player.hasExcalibur = false;
+      });
+      Object.values(board.quests).forEach(quest => (quest.currentQuest = quest.questNum === event.questNum));
+      quest.voteTrack = event.proposal - 1;
+      return `${event.leader} is choosing the team for quest ${event.questNum}.`;
+
+    //the vote track & loyalty card move to the targeted quest, as in Game.targetQuest
+    case "questTargeted": {
+      const previousQuest = board.quests[event.previousQuestNum];
+      quest.voteTrack = previousQuest.voteTrack;
+      quest.loyaltyCard = previousQuest.loyaltyCard;
+      previousQuest.voteTrack = 0;
+      previousQuest.loyaltyCard = "";
+      previousQuest.currentQuest = false;
+      quest.currentQuest = true;
+      const leader = board.players.find(player => player.leader);
+      return `${leader.name} targeted quest ${event.questNum} instead of quest ${event.previousQuestNum}.`;
+    }
+
+    case "loyaltyCard":
+      quest.loyaltyCard = event.card;
+      event.lancelots.forEach(({ name, team }) => (player(name).team = team));
+      return event.card === "Switch"
+        ? "The loyalty card is Switch: the Lancelots switch teams."
+        : "The loyalty card is No Change.";
+
+    case "teamProposed":
+      board.players.forEach(player => {
+        player.onQuest = event.team.includes(player.name);
+        player.hasExcalibur = player.name === event.excaliburHolder;
+      });
+      return (
+        `${event.leader} proposed ${event.team.join(", ")} for quest ${event.questNum}.` +
+        (event.excaliburHolder ? ` ${event.excaliburHolder} was given Excalibur.` : "")
+      );
+
+    case "plotCardGiven":
+      return `${event.leader} gave ${event.holder} the plot card ${event.card}.`;
+
+    case "plotCardUsed":
+      return (
+        (event.card === "Establish Confidence"
+          ? `${event.target} showed their loyalty to ${event.holder}`
+          : `${event.holder} overheard ${event.target}'s conversation`) +
+        (showRoles ? `, and learned they are ${teamName(event.team)}.` : ".")
+      );
+
+    case "teamVote": {
+      if (event.hammer) return `Proposal ${event.proposal} is the hammer, so the team goes on the quest without a vote.`;
+      if (!event.approved) quest.voteTrack = event.proposal;
+      const result = `The team was ${event.approved ? "approved" : "rejected"}, ${event.accept.length} to ${event.reject.length}.`;
+      if (event.anonymous && !showRoles) return result;
+      return `${result} Accepted: ${event.accept.join(", ") || "nobody"}. Rejected: ${event.reject.join(", ") || "nobody"}.`;
+    }
+
+    case "excalibur":
+      if (!event.target) return `${event.holder} chose not to use Excalibur.`;
+      return (
+        `${event.holder} used Excalibur on ${event.target}` +
+        (showRoles ? `, turning their ${event.originalCard} into ${event.originalCard === "fail" ? "succeed" : "fail"}.` : ".")
+      );
+
+    case "questResult": {
+      quest.success = event.success;
+      const result = `Quest ${event.questNum} ${event.success ? "succeeded" : "failed"}`;
+      if (!showRoles) return event.hiddenFailCounts ? `${result}.` : `${result} with ${event.fail} fail(s).`;
+      const failed = Object.keys(event.cards).filter(name => event.cards[name] === "fail");
+      return `${result} with ${event.fail} fail(s).` + (failed.length > 0 ? ` Played fail: ${failed.join(", ")}.` : "");
+    }
+
+    case "revealerRevealed":
+      player(event.player).revealed = true;
+      return `A second quest has failed, revealing ${event.player} as the Revealer.`;
+
+    case "ladyOfTheLake":
+      player(event.holder).hasLadyOfTheLake = false;
+      Object.assign(player(event.target), {
+        hasLadyOfTheLake: true,
+        heldLadyOfTheLake: true,
+        inspectedBy: event.holder
+      });
+      return (
+        `${event.holder} used the Lady of the Lake on ${event.target}` +
+        (showRoles ? `, and was shown ${teamName(event.team)}.` : ".")
+      );
+
+    case "assassination":
+      player(event.target).assassinated = true;
+      return `${event.assassin} assassinated ${event.target}, who was ${event.targetRole}.`;
+
+    case "gameOver":
+      board.isOver = true;
+      return `${GameOverReasons[event.reason]} ${teamName(event.winningTeam)} wins!`;
+
+    default:
+      return "";
+  }
+}
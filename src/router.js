@@ -3,6 +3,7 @@ import Router from 'vue-router'
 import Home from './views/Home.vue'
 import Lobby from './views/Lobby.vue'
 import Game from './views/Game.vue'
+import Replay from './views/Replay.vue'
 
 Vue.use(Router)
 
@@ -33,5 +34,6 @@ export default new Router({
         }
       }
     },
+    { path: '/replay/:id', name: 'replay', component: Replay },
   ]
 })
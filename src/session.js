@@ -0,0 +1,30 @@
+// session tokens the server gave this browser, by room & name, which it needs to reconnect as the same player or spectator
+const STORAGE_KEY = "sessionTokens";
+
+function loadSessionTokens() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * @param {number} roomCode
+ * @param {string} playerName
+ * @returns {string} the session token, or null if this browser was never in the room under the name
+ */
+export function getSessionToken(roomCode, playerName) {
+  return loadSessionTokens()[`${Number(roomCode)}:${playerName}`] || null;
+}
+
+/**
+ * @param {number} roomCode
+ * @param {string} playerName
+ * @param {string} sessionToken
+ */
+export function saveSessionToken(roomCode, playerName, sessionToken) {
+  const sessionTokens = loadSessionTokens();
+  sessionTokens[`${Number(roomCode)}:${playerName}`] = sessionToken;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sessionTokens));
+}
@@ -1,6 +1,7 @@
 import Vue from 'vue'
 import Vuex from 'vuex'
 import router from './router'
+import { saveSessionToken } from './session'
 
 Vue.use(Vuex)
 
@@ -9,9 +10,31 @@ export default new Vuex.Store({
     playerName: '',
     roomCode: null,
     gameStarted: false,
+    mode: 'Avalon',
     players: [],
     spectators: [],
-    specialRoles: []
+    specialRoles: [],
+    customRoles: null,
+    customQuests: null,
+    lancelotVariant: 1,
+    expansions: [],
+    houseRules: {
+      hammer: false,
+      anonymousTeamVotes: false,
+      hiddenFailCounts: false,
+      assassin: true
+    },
+    roleDefinitions: {
+      roles: {},
+      specialRoles: [],
+      baseRoles: {},
+      minPlayers: 0,
+      minPracticePlayers: 0
+    },
+    //the host's setup options are only sent when they close SetupOptions, so snapshots don't undo their edits until then
+    editingSettings: false,
+    //the latest snapshot of the room from the server, which the lobby & game render from
+    game: null
   },
   mutations: {
     SOCKET_GOTOLOBBY(state, { playerName, roomCode }) {
@@ -26,6 +49,10 @@ export default new Vuex.Store({
         }
       });
     },
+    //kept across page reloads, so the browser can reconnect as the same player or spectator
+    SOCKET_SETSESSIONTOKEN(state, { roomCode, playerName, sessionToken }) {
+      saveSessionToken(roomCode, playerName, sessionToken);
+    },
     SOCKET_STARTGAME(state, { startGame, playerName, roomCode, reconnect }) {
       state.gameStarted = startGame;
       if (roomCode) {
@@ -48,19 +75,34 @@ export default new Vuex.Store({
         });
       }
     },
-    SOCKET_UPDATEPLAYERCARDS(state, players) {
-      state.players = players;
-    },
-    SOCKET_UPDATESPECTATORSLIST(state, spectators) {
-      state.spectators = spectators;
+    SOCKET_SYNCGAME(state, game) {
+      //snapshots can arrive out of order, only the latest one for the room is kept
+      if (state.game && state.game.roomCode === game.roomCode && state.game.seq >= game.seq) return;
+      state.game = game;
+      state.players = game.players;
+      state.spectators = game.spectators;
+      if (!state.editingSettings) Object.assign(state, game.settings);
     },
     SOCKET_DISCONNECT(state) {
       state.gameStarted = false;
       state.roomCode = null;
       state.playerName = '';
+      state.mode = 'Avalon';
       state.players = [];
       state.spectators = [];
+      state.game = null;
+      state.editingSettings = false;
       state.specialRoles = [];
+      state.customRoles = null;
+      state.customQuests = null;
+      state.lancelotVariant = 1;
+      state.expansions = [];
+      state.houseRules = {
+        hammer: false,
+        anonymousTeamVotes: false,
+        hiddenFailCounts: false,
+        assassin: true
+      };
 
       router.push({ path: "/" });
     },
@@ -69,13 +111,43 @@ export default new Vuex.Store({
       router.push({ path: "/" });
       window.location.reload();
     },
-    SOCKET_UPDATESPECIALROLES(state, specialRoles) {
-      if (specialRoles) {
-        state.specialRoles = specialRoles;
-      }
+    updateMode(state, mode) {
+      state.mode = mode;
     },
     updateSpecialRoles(state, specialRoles) {
       state.specialRoles = specialRoles;
+    },
+    updateCustomRoles(state, customRoles) {
+      state.customRoles = customRoles;
+    },
+    updateCustomQuests(state, customQuests) {
+      state.customQuests = customQuests;
+    },
+    updateLancelotVariant(state, lancelotVariant) {
+      state.lancelotVariant = lancelotVariant;
+    },
+    updateExpansions(state, expansions) {
+      state.expansions = expansions;
+    },
+    updateHouseRules(state, houseRules) {
+      state.houseRules = houseRules;
+    },
+    updateEditingSettings(state, editingSettings) {
+      state.editingSettings = editingSettings;
+    },
+    SOCKET_SETROLEDEFINITIONS(state, roleDefinitions) {
+      state.roleDefinitions = roleDefinitions;
+    }
+  },
+  getters: {
+    //what this page can do right now, ex: actions.questVote = the quest cards this player can play
+    actions: state => (state.game ? state.game.actions : {}),
+    //The Resistance names its teams differently from Avalon. Replays pass the mode of the game they show
+    teamName: state => (team, mode = state.mode) => {
+      if (mode !== 'Resistance') return team;
+      if (team === 'Good') return 'Resistance';
+      if (team === 'Evil') return 'Spy';
+      return team;
     }
   },
   actions: {